@@ -0,0 +1,503 @@
+// =============================================================================
+// == board.js          Domino4 - August 6 by DAM Productions                  ==
+// =============================================================================
+// Canvas drawing of dominoes and of the board layout. Shared by the game client
+// (client.js) and the replay viewer (replay.js); both pages load p5.js first and
+// provide the `gameState` and `lastPlayedHighlight` globals that drawBoard reads.
+// =============================================================================
+
+function drawPips(pips, x, y, w, h, isHorizontal = false) {
+    const patterns = {
+      1: [[0.5, 0.5]],
+      2: [[0.25, 0.25], [0.75, 0.75]],
+      3: [[0.25, 0.25], [0.5, 0.5], [0.75, 0.75]],
+      4: [[0.25, 0.25], [0.75, 0.25], [0.25, 0.75], [0.75, 0.75]],
+      5: [[0.25, 0.25], [0.75, 0.25], [0.5, 0.5], [0.25, 0.75], [0.75, 0.75]],
+      6: [[0.25, 0.25], [0.75, 0.25], [0.25, 0.5], [0.75, 0.5], [0.25, 0.75], [0.75, 0.75]],
+      // Double-nine and double-twelve sets: three columns, up to four rows
+      7: [[0.25, 0.25], [0.75, 0.25], [0.25, 0.5], [0.5, 0.5], [0.75, 0.5], [0.25, 0.75], [0.75, 0.75]],
+      8: [[0.25, 0.25], [0.5, 0.25], [0.75, 0.25], [0.25, 0.5], [0.75, 0.5], [0.25, 0.75], [0.5, 0.75], [0.75, 0.75]],
+      9: [[0.25, 0.25], [0.5, 0.25], [0.75, 0.25], [0.25, 0.5], [0.5, 0.5], [0.75, 0.5], [0.25, 0.75], [0.5, 0.75], [0.75, 0.75]],
+      10: [[0.25, 0.2], [0.75, 0.2], [0.25, 0.4], [0.5, 0.35], [0.75, 0.4], [0.25, 0.6], [0.5, 0.65], [0.75, 0.6], [0.25, 0.8], [0.75, 0.8]],
+      11: [[0.25, 0.2], [0.75, 0.2], [0.25, 0.4], [0.5, 0.3], [0.75, 0.4], [0.5, 0.5], [0.25, 0.6], [0.5, 0.7], [0.75, 0.6], [0.25, 0.8], [0.75, 0.8]],
+      12: [[0.25, 0.2], [0.5, 0.2], [0.75, 0.2], [0.25, 0.4], [0.5, 0.4], [0.75, 0.4], [0.25, 0.6], [0.5, 0.6], [0.75, 0.6], [0.25, 0.8], [0.5, 0.8], [0.75, 0.8]]
+    };
+    
+    if (pips === 0 || !patterns[pips]) return;
+
+    push();
+    translate(x + w / 2, y + h / 2);
+    if (pips >= 6 && isHorizontal) {
+        rotate(PI / 2);
+    }
+
+    const currentPattern = patterns[pips];
+    fill(0);
+    noStroke();
+    const pipSize = pips > 6 ? w / 8.5 : w / 6.5; // Smaller pips so the big numbers still fit
+
+    currentPattern.forEach(p => {
+        const pipX = (p[0] - 0.5) * w;
+        const pipY = (p[1] - 0.5) * h;
+        ellipse(pipX, pipY, pipSize, pipSize);
+    });
+    pop();
+}
+
+// NEW: Added isHighlighted parameter
+function drawSingleDomino(domino, x, y, w, h, isSelected, isReversed, isHighlighted = false) {
+    push();
+    translate(x, y);
+
+    if (isHighlighted) {
+        strokeWeight(4);
+        stroke(0, 255, 255); // Bright cyan color for the glow
+    } else {
+        strokeWeight(isSelected ? 3 : 1.5);
+        stroke(isSelected ? 'yellow' : 'black');
+    }
+
+    fill(245);
+    rect(0, 0, w, h, 6);
+    strokeWeight(1);
+    stroke(0);
+    
+    const val1 = isReversed ? domino.right : domino.left;
+    const val2 = isReversed ? domino.left : domino.right;
+
+    if (w > h) { // Horizontal Tile
+        line(w / 2, 4, w / 2, h - 4);
+        drawPips(val1, 0, 0, w / 2, h, true);
+        drawPips(val2, w / 2, 0, w / 2, h, true);
+    } else { // Vertical Tile
+        line(4, h / 2, w - 4, h / 2);
+        drawPips(val1, 0, 0, w, h / 2, false);
+        drawPips(val2, 0, h / 2, w, h / 2, false);
+    }
+    pop();
+}
+
+/**
+ * Lays out one vertical arm of a four-way spinner, starting at the connection
+ * point `conn` and heading along `dir`. Arm tiles are stored as
+ * { left: inner, right: open }. The arm runs straight for two tiles and then
+ * turns along `turnDir` so it stays clear of the main line.
+ */
+function layoutSpinnerArm(arm, conn, dir, turnDir, long, short, gap) {
+    const tiles = [];
+    arm.forEach((domino, index) => {
+        if (index === 2) dir = turnDir;
+        const isDouble = domino.left === domino.right;
+        // Doubles lie across the line of play, everything else along it
+        const alongX = (dir.x !== 0) !== isDouble;
+        const w = alongX ? long : short;
+        const h = alongX ? short : long;
+
+        let x, y;
+        if (dir.y === -1) { x = conn.x - w / 2; y = conn.y - h - gap; }
+        else if (dir.y === 1) { x = conn.x - w / 2; y = conn.y + gap; }
+        else if (dir.x === -1) { x = conn.x - w - gap; y = conn.y - h / 2; }
+        else { x = conn.x + gap; y = conn.y - h / 2; }
+
+        // The open half faces away from the spinner
+        const isReversed = dir.y === -1 || dir.x === -1;
+        tiles.push({ domino, x, y, w, h, isReversed });
+
+        if (dir.y === -1) conn = { x: x + w / 2, y: y };
+        else if (dir.y === 1) conn = { x: x + w / 2, y: y + h };
+        else if (dir.x === -1) conn = { x: x, y: y + h / 2 };
+        else conn = { x: x + w, y: y + h / 2 };
+    });
+    return tiles;
+}
+
+/**
+ * Draws the entire board of played dominoes, handling the layout logic.
+ * This is your original function, with the glow logic integrated.
+ */
+function drawBoard() {
+    // 52. Check if board data exists and has spinner tile
+    if (!gameState.board || gameState.board.length === 0 || !gameState.spinnerTile) return;
+
+    // 53. Extract board data and define domino dimensions
+    const { board, spinnerTile } = gameState;
+    // 54. Set standard domino dimensions and spacing
+    const long = 100*.95, short = 50*.95, gap = 2;
+    // 55. Calculate board center Y position
+    const boardCenterY = height / 2 - 218;
+
+    // 56. Find spinner tile index in the board array
+    const spinnerIndex = board.findIndex(t => t.left === spinnerTile.left && t.right === spinnerTile.right);
+    // 57. Exit if spinner tile not found in board
+    if (spinnerIndex === -1) return;
+
+    // 58. Initialize array to store drawable tile data
+    let drawableTiles = new Array(board.length);
+
+    // 59. Check if spinner tile is a double to determine orientation
+    const isSpinnerDouble = spinnerTile.left === spinnerTile.right;
+    // 60. Set spinner tile dimensions (horizontal for non-doubles, vertical for doubles)
+    const spinnerW = isSpinnerDouble ? short : long;
+    const spinnerH = isSpinnerDouble ? long : short;
+    // 61. Calculate spinner tile X position (centered horizontally)
+    const spinnerX = width / 2 - spinnerW / 2;
+    // 62. Calculate spinner tile Y position
+    const spinnerY = boardCenterY - spinnerH / 2;
+    // 63. Store spinner tile drawable data
+    drawableTiles[spinnerIndex] = { domino: spinnerTile, x: spinnerX, y: spinnerY, w: spinnerW, h: spinnerH, isReversed: false };
+
+
+
+
+
+// --- Right Side of Spinner ---
+// 94. Initialize right side connection point based on spinner orientation
+let connR;
+if (isSpinnerDouble) {
+    // For double (vertical) spinner: connect at right edge, middle height
+    connR = { x: spinnerX + spinnerW, y: spinnerY + spinnerH / 2 };
+} else {
+    // For non-double (horizontal) spinner: connect at right edge, middle height
+    connR = { x: spinnerX + spinnerW, y: spinnerY + spinnerH / 2 };
+}
+// 95. Set initial direction vector pointing right
+let dirR = { x: 1, y: 0 };
+// 96. Initialize counters for right side layout logic
+let straightCountR = 0, turnCountR = 0;
+// 97. Set initial turn trigger threshold
+let turnAfterR = 5;
+
+// 98. Loop through dominoes on right side of spinner (forwards)
+for (let i = spinnerIndex + 1; i < board.length; i++) {
+    // 99. Get current domino and check if it's a double
+    const domino = board[i];
+    const isDouble = domino.left === domino.right;
+    // 100. Declare position and dimension variables
+    let x, y, w, h;
+    // 101. Get previous domino to check if it was a double (previous in array for right side)
+    const prevDomino = board[i - 1];
+    const prevWasDouble = prevDomino && prevDomino.left === prevDomino.right;
+
+    // Special handling for doubles on right side - check if we're at a turn position
+    const tileNumberFromSpinner = i - spinnerIndex;
+    const isAtTurnPosition = (turnCountR < 2 && straightCountR >= turnAfterR);
+    const isSpecialDouble = (isAtTurnPosition && isDouble);
+
+    // 102. Check if it's time to make a turn on right side (but not for special double)
+    if (turnCountR < 2 && straightCountR >= turnAfterR && !isSpecialDouble) {
+        // 103. Store old direction before changing
+        const oldDir = { ...dirR };
+        // 104. Calculate new direction (90-degree counter-clockwise turn for symmetry)
+        dirR = { x: -oldDir.y, y: oldDir.x };
+
+        // 105. Set domino dimensions based on new direction
+        w = (dirR.x !== 0) ? long : short;
+        h = (dirR.x !== 0) ? short : long;
+
+        // 106. Check if previous domino was a double for special positioning
+        if (prevWasDouble) {
+            // 107. First turn positioning after double (top right)
+            if (oldDir.x === 1) {
+                x = connR.x - w - gap/2;          // Position to the left of connection point
+                y = connR.y  + w;       // Center vertically with slight downward offset
+            
+            // 108. Second turn positioning after double (bottom right)
+            } else if (oldDir.y === 1) {            // <<<<<<< UNIFIED LOGIC APPLIED
+             
+             x = connR.x - w - (w * 0.5);  // Use tile width + 50% instead of fixed long + short            
+             y = connR.y - h;             
+            }
+
+        // 109. Regular turn positioning (not after double)
+        } else {
+            // 110. First turn positioning (regular)
+            if (oldDir.x === 1) {
+                x = connR.x + gap;
+                y = connR.y - h / 2 + (h * 0.25);  // Use 25% of tile height instead of fixed 25
+
+            // 111. Second turn positioning (regular)
+            } else if (oldDir.y === 1) {            // Second turn positioning (regular)
+               y = connR.y + gap;
+               x = connR.x - w / 2 - (w * 0.25);   // Use 25% of tile width instead of fixed (long / 4)
+            }
+        }
+
+        // 112. Increment turn counter and update settings
+        turnCountR++;
+        turnAfterR = 3;
+        straightCountR = 0;
+
+    // 113. Straight line positioning (no turn) OR special double handling
+    } else {
+        // Handle special double at turn positions
+        if (isSpecialDouble) {
+            // Place double PERPENDICULAR to current direction of travel
+            if (dirR.x !== 0) { // Currently moving horizontally
+                // Place double vertically (perpendicular to horizontal movement)
+                w = short;
+                h = long;
+            } else { // Currently moving vertically
+                // Place double horizontally (perpendicular to vertical movement)
+                w = long;
+                h = short;
+            }
+            
+            // Position based on current direction (before the turn)
+            if (dirR.x === 1) { // Moving right - place double vertically to the right
+                x = connR.x + gap;
+                y = connR.y - h / 2;
+            } else if (dirR.y === 1) { // Moving down - place double horizontally below
+                x = connR.x - w / 2;
+                y = connR.y + gap;
+            } else if (dirR.x === -1) { // Moving left - place double vertically to the left
+                x = connR.x - w - gap;
+                y = connR.y - h / 2;
+            } else if (dirR.y === -1) { // Moving up - place double horizontally above
+                x = connR.x - w / 2;
+                y = connR.y - h - gap;
+            }
+            
+            // NOW simulate the turn AFTER positioning the double
+            const oldDir = { ...dirR };
+            dirR = { x: -oldDir.y, y: oldDir.x };
+            
+            // Increment turn counter and update settings
+            turnCountR++;
+            turnAfterR = 3;
+            straightCountR = 0;
+        } else {
+            // 114. Set domino dimensions based on direction and double status
+            if (dirR.x !== 0) { // Horizontal line
+                w = isDouble ? short : long;
+                h = isDouble ? long : short;
+            } else { // Vertical line (down branch)
+                w = isDouble ? long : short;
+                h = isDouble ? short : long;
+            }
+
+            // 115. Position domino based on current direction
+            if (dirR.x === 1) { x = connR.x + gap; y = connR.y - h / 2; }
+            // 116. Position for down direction
+            else if (dirR.y === 1) { y = connR.y + gap; x = connR.x - w / 2; }
+            // 117. Position for left direction
+            else { x = connR.x - w - gap; y = connR.y - h / 2; }
+        }
+    }
+
+    // 118. Determine if domino should be visually reversed
+    const isReversed = (dirR.x === -1);
+    // 119. Store domino drawable data
+    drawableTiles[i] = { domino, x, y, w, h, isReversed };
+
+    // 120. Update connection point based on domino direction
+    if (isSpecialDouble) {
+        // For special double, connect at bottom edge middle since it's always vertical
+        // But set the connection point based on the NEW direction after the simulated turn
+        if (dirR.x === 1) { // New direction is right
+            connR = { x: x + w, y: y + h / 2 };
+        } else if (dirR.y === 1) { // New direction is down
+            connR = { x: x + w / 2, y: y + h };
+        } else if (dirR.x === -1) { // New direction is left
+            connR = { x: x, y: y + h / 2 };
+        } else if (dirR.y === -1) { // New direction is up
+            connR = { x: x + w / 2, y: y };
+        }
+    } else if (dirR.x === 1) { connR = { x: x + w, y: y + h / 2 }; } 
+    else if (dirR.x === -1) { connR = { x: x, y: y + h / 2 }; } 
+    else if (dirR.y === 1) { connR = { x: x + w / 2, y: y + h }; } // Downward turn
+    else { connR = { x: x + w / 2, y: y }; }
+    
+    // 121. Increment straight counter
+    straightCountR++;
+}
+
+
+
+    // --- Left Side of Spinner ---
+    // 94. Initialize left side connection point based on spinner orientation
+    let connL;
+    if (isSpinnerDouble) {
+        // For double (vertical) spinner: connect at left edge, middle height
+        connL = { x: spinnerX, y: spinnerY + spinnerH / 2 };
+    } else {
+        // For non-double (horizontal) spinner: connect at left edge, middle height
+        connL = { x: spinnerX, y: spinnerY + spinnerH / 2 };
+    }
+    // 95. Set initial direction vector pointing left
+    let dirL = { x: -1, y: 0 };
+    // 96. Initialize counters for left side layout logic
+    let straightCountL = 0, turnCountL = 0;
+    // 97. Set initial turn trigger threshold
+    let turnAfterL = 5;
+
+    // 98. Loop through dominoes on left side of spinner (backwards)
+    for (let i = spinnerIndex - 1; i >= 0; i--) {
+        // 99. Get current domino and check if it's a double
+        const domino = board[i];
+        const isDouble = domino.left === domino.right;
+        // 100. Declare position and dimension variables
+        let x, y, w, h;
+        // 101. Get previous domino to check if it was a double (next in array for left side)
+        const prevDomino = board[i + 1];
+        const prevWasDouble = prevDomino && prevDomino.left === prevDomino.right;
+
+        // Special handling for doubles on left side - check if we're at a turn position
+        const tileNumberFromSpinner = spinnerIndex - i;
+        const isAtTurnPosition = (turnCountL < 2 && straightCountL >= turnAfterL);
+        const isSpecialDouble = (isAtTurnPosition && isDouble);
+
+// 102. Check if it's time to make a turn on left side (but not for special double)
+if (turnCountL < 2 && straightCountL >= turnAfterL && !isSpecialDouble) {
+    // 103. Store old direction before changing
+    const oldDir = { ...dirL };
+    // 104. Calculate new direction (90-degree counter-clockwise turn)
+    dirL = { x: oldDir.y, y: -oldDir.x };
+
+    // 105. Set domino dimensions based on new direction
+    w = (dirL.x !== 0) ? long : short;
+    h = (dirL.x !== 0) ? short : long;
+
+    // 106. Check if previous domino was a double for special positioning
+    if (prevWasDouble) {
+        // 107. First turn positioning after double (top left)
+        if (oldDir.x === -1) {                  // First turn on the top left
+            x = connL.x - w / 2 + (short * 0.53);
+            y = connL.y + short/2 + (short * 0.52);
+   //         y = connL.y + short / 2 + 25.5;
+        // 108. Second turn positioning after double (bottom left)
+        } else if (oldDir.y === 1) {            // Second turn on the bottom left.
+            x = connL.x + h ;
+            y = connL.y - w/2 ;  // Position above the connection point going up
+        }
+    
+    // 109. Regular turn positioning (not after double)
+    } else {
+        // 110. First turn positioning (regular)
+        if (oldDir.x === -1) {
+            x = connL.x - w - gap;
+            y = connL.y - h / 2 + (short * 0.5);
+
+        // 111. Second turn positioning (regular)
+        } else if (oldDir.y === 1) {
+            y = connL.y + gap;
+            x = connL.x - short / 2;
+        }
+    }
+
+    // 112. Increment turn counter and update settings
+    turnCountL++;
+    turnAfterL = 3;
+    straightCountL = 0;
+
+    // 113. Straight line positioning (no turn) OR special double handling
+    } else {
+        // Handle special double at turn positions
+        if (isSpecialDouble) {
+            // Place double PERPENDICULAR to current direction of travel
+            if (dirL.x !== 0) { // Currently moving horizontally
+                // Place double vertically (perpendicular to horizontal movement)
+                w = short;
+                h = long;
+            } else { // Currently moving vertically
+                // Place double horizontally (perpendicular to vertical movement)
+                w = long;
+                h = short;
+            }
+            
+            // Position based on current direction (before the turn)
+            if (dirL.x === -1) { // Moving left - place double vertically to the left
+                x = connL.x - w - gap;
+                y = connL.y - h / 2;
+            } else if (dirL.y === 1) { // Moving down - place double horizontally below
+                x = connL.x - w / 2;
+                y = connL.y + gap;
+            } else if (dirL.x === 1) { // Moving right - place double vertically to the right
+                x = connL.x + gap;
+                y = connL.y - h / 2;
+            } else if (dirL.y === -1) { // Moving up - place double horizontally above
+                x = connL.x - w / 2;
+                y = connL.y - h - gap;
+            }
+            
+            // NOW simulate the turn AFTER positioning the double
+            const oldDir = { ...dirL };
+            dirL = { x: oldDir.y, y: -oldDir.x };
+            
+            // Increment turn counter and update settings
+            turnCountL++;
+            turnAfterL = 3;
+            straightCountL = 0;
+        } else {
+            // 114. Set domino dimensions based on direction and double status
+            if (dirL.x !== 0) { // Horizontal line
+                w = isDouble ? short : long;
+                h = isDouble ? long : short;
+            } else { // Vertical line (down branch)
+                w = isDouble ? long : short;
+                h = isDouble ? short : long;
+            }
+
+            // 115. Position domino based on current direction
+            if (dirL.x === -1) { x = connL.x - w - gap; y = connL.y - h / 2; }
+            // 116. Position for down direction
+            else if (dirL.y === 1) { y = connL.y + gap; x = connL.x - w / 2; }
+            // 117. Position for right direction
+            else { x = connL.x + gap; y = connL.y - h / 2; }
+        }
+    }
+
+    // 118. Determine if domino should be visually reversed (opposite of right side)
+    const isReversed = !(dirL.x === -1 || dirL.y === -1);
+    // 119. Store domino drawable data
+    drawableTiles[i] = { domino, x, y, w, h, isReversed };
+
+        // 120. Update connection point based on domino direction
+        if (isSpecialDouble) {
+            // For special double, set the connection point based on the NEW direction after the simulated turn
+            if (dirL.x === -1) { // New direction is left
+                connL = { x: x, y: y + h / 2 };
+            } else if (dirL.y === 1) { // New direction is down
+                connL = { x: x + w / 2, y: y + h };
+            } else if (dirL.x === 1) { // New direction is right
+                connL = { x: x + w, y: y + h / 2 };
+            } else if (dirL.y === -1) { // New direction is up
+                connL = { x: x + w / 2, y: y };
+            }
+        } else if (dirL.x === 1) { connL = { x: x + w, y: y + h / 2 }; } // Rightward direction - connect at right edge
+        else if (dirL.x === -1) { connL = { x: x, y: y + h / 2 }; }
+        else if (dirL.y === 1) { connL = { x: x + w / 2, y: y + h }; }
+        else if (dirL.y === -1) { connL = { x: x + w / 2, y: y }; } // Upward direction - connect at top
+        else { connL = { x: x + w / 2, y: y }; }
+        
+        // 121. Increment straight counter
+        straightCountL++;
+    }
+
+    // --- Spinner arms (four-way spinner) ---
+    // The top arm bends left and the bottom one right, away from the turns of the main line
+    const arms = gameState.spinnerArms;
+    if (isSpinnerDouble && arms) {
+        const top = { x: spinnerX + spinnerW / 2, y: spinnerY };
+        const bottom = { x: spinnerX + spinnerW / 2, y: spinnerY + spinnerH };
+        drawableTiles.push(...layoutSpinnerArm(arms.up || [], top, { x: 0, y: -1 }, { x: -1, y: 0 }, long, short, gap));
+        drawableTiles.push(...layoutSpinnerArm(arms.down || [], bottom, { x: 0, y: 1 }, { x: 1, y: 0 }, long, short, gap));
+    }
+
+    // --- Draw all tiles ---
+    // 122. Loop through all drawable tiles to render them
+    drawableTiles.forEach(t => {
+        if (t) {
+            // 123. Initialize highlight state
+            let isHighlighted = false;
+            // 124. Check if this tile should be highlighted (recently played)
+            if (lastPlayedHighlight.tile && 
+                millis() - lastPlayedHighlight.timestamp < 3000 &&
+                t.domino.left === lastPlayedHighlight.tile.left && 
+                t.domino.right === lastPlayedHighlight.tile.right) {
+                isHighlighted = true;
+            }
+            // 125. Draw the domino with all calculated properties
+            drawSingleDomino(t.domino, t.x, t.y, t.w, t.h, false, t.isReversed, isHighlighted);
+        }
+    });
+}
@@ -0,0 +1,182 @@
+// =============================================================================
+// == bots.js            Domino4  -  Computer players                         ==
+// =============================================================================
+// A bot looks at the same game state the rules engine works on and answers with
+// an ordinary action ({ type: 'play' | 'draw' | 'pass', player, ... }). The
+// server feeds that action to rules.applyAction, so bot moves go through exactly
+// the same validation as a player's placeTile, drawTile or passTurn.
+//
+// Strategy interface: { label, chooseMove(moves, view, random) } where `moves`
+// are the legal { tile, position } pairs (never empty) and `view` is what the
+// bot is allowed to know: its own hand, the board and the public move log.
+// =============================================================================
+
+const rules = require('./rules');
+
+const DEFAULT_LEVEL = 'medium';
+
+/**
+ * (ROUTINE) Counts the pips on a single tile.
+ */
+function tileValue(tile) {
+    return tile.left + tile.right;
+}
+
+/**
+ * (ROUTINE) Checks whether a tile shows a given number.
+ */
+function hasNumber(tile, number) {
+    return tile.left === number || tile.right === number;
+}
+
+/**
+ * (ROUTINE) Returns the numbers on the open ends of the board after a move.
+ */
+function endsAfterMove(state, move) {
+    return rules.openEnds(rules.previewMove(state, move)).map(end => end.value);
+}
+
+/**
+ * (ROUTINE) What All-Fives would score for a move: the open ends it leaves,
+ * counted by the rules engine on the board the move would leave.
+ */
+function pointsAfterMove(state, move) {
+    const points = rules.countOpenEnds(rules.previewMove(state, move));
+    return points % 5 === 0 ? points : 0;
+}
+
+/**
+ * (ROUTINE) Builds what a bot may know: its hand, the seats around it, the tiles
+ * nobody has shown yet, and the numbers each player is known to be missing.
+ */
+function buildView(state, playerName) {
+    const hand = state.hands[playerName] || [];
+    const seating = state.seating || [];
+    const seatIndex = seating.indexOf(playerName);
+    const seatAt = offset => (seatIndex === -1 ? null : seating[(seatIndex + offset) % seating.length]);
+
+    // A player who passed (or had to draw) had no tile showing any end that was open at the time
+    const missingNumbers = {};
+    seating.forEach(name => { missingNumbers[name] = new Set(); });
+    (state.roundMoves || []).forEach(move => {
+        if ((move.type === 'pass' || move.type === 'draw') && missingNumbers[move.player]) {
+            [move.leftEnd, move.rightEnd, move.upEnd, move.downEnd]
+                .filter(end => end !== null && end !== undefined)
+                .forEach(end => missingNumbers[move.player].add(end));
+        }
+    });
+
+    const arms = state.spinnerArms || { up: [], down: [] };
+    const seen = [...hand, ...state.board, ...arms.up, ...arms.down];
+    const unseenTiles = rules.generateDominoes(rules.tileSetOf(state.tileSet).maxPips).filter(t => !seen.some(s => (s.left === t.left && s.right === t.right) || (s.left === t.right && s.right === t.left)));
+
+    // Without teams everyone else is an opponent
+    return {
+        state,
+        playerName,
+        hand,
+        partner: state.individualScoring ? null : seatAt(2),
+        nextOpponent: seatAt(1),
+        previousOpponent: seatAt(seating.length - 1),
+        missingNumbers,
+        unseenTiles
+    };
+}
+
+
+// =============================================================================
+// == STRATEGIES                                                              ==
+// =============================================================================
+
+/**
+ * (ROUTINE) Scores a move for the hard bot. Higher is better.
+ */
+function scoreHardMove(move, view) {
+    const { state, hand, partner, nextOpponent, previousOpponent, missingNumbers, unseenTiles } = view;
+    const ends = endsAfterMove(state, move);
+    const remaining = hand.filter(t => t !== move.tile);
+    let score = tileValue(move.tile) * 0.5; // Shed weight in case the game gets blocked
+
+    // Doubles only ever fit one number: get rid of them while they still can be played
+    if (move.tile.left === move.tile.right) score += 6;
+
+    ends.forEach(end => {
+        // Leave numbers we still hold so we keep control of the board
+        score += remaining.filter(t => hasNumber(t, end)).length * 3;
+
+        // Make the next opponent pass...
+        if (nextOpponent && missingNumbers[nextOpponent].has(end)) score += 8;
+        if (previousOpponent && missingNumbers[previousOpponent].has(end)) score += 3;
+        // ...but never lock our partner out
+        if (partner && missingNumbers[partner].has(end)) score -= 9;
+
+        // Nobody else can hold a number whose tiles are all in our hand or on the board
+        if (!unseenTiles.some(t => hasNumber(t, end))) score += 4;
+    });
+
+    // Keep the numbers our partner has been playing open for them
+    const partnerPlays = (state.roundMoves || []).filter(m => m.type === 'play' && m.player === partner);
+    const partnerLast = partnerPlays[partnerPlays.length - 1];
+    if (partnerLast && !state.isFirstMove) {
+        const coveredEnd = state[`${move.position}End`];
+        if (hasNumber(partnerLast.tile, coveredEnd)) score -= 4;
+    }
+
+    // All-Fives: points on the board now beat almost any plan
+    if (state.scoringMode === 'allFives') score += pointsAfterMove(state, move) * 2;
+
+    // Going out wins the round outright
+    if (remaining.length === 0) score += 1000;
+    return score;
+}
+
+const STRATEGIES = {
+    // Plays any legal tile at random
+    easy: {
+        label: 'Fácil',
+        chooseMove(moves, view, random) {
+            return moves[Math.floor(random() * moves.length)];
+        }
+    },
+    // Dumps its heaviest playable tile
+    medium: {
+        label: 'Medio',
+        chooseMove(moves) {
+            return moves.reduce((a, b) => (tileValue(b.tile) > tileValue(a.tile) ? b : a));
+        }
+    },
+    // Counts tiles, reads passes, and plays for its partner
+    hard: {
+        label: 'Difícil',
+        chooseMove(moves, view) {
+            return moves.reduce((a, b) => (scoreHardMove(b, view) > scoreHardMove(a, view) ? b : a));
+        }
+    }
+};
+
+/**
+ * (ROUTINE) Returns the strategy level to use for a requested one, falling back to the default.
+ */
+function normalizeLevel(level) {
+    return Object.prototype.hasOwnProperty.call(STRATEGIES, level) ? level : DEFAULT_LEVEL;
+}
+
+/**
+ * (ROUTINE) Chooses the action a bot takes on its turn with the given strategy
+ * level, or a draw or pass when nothing fits.
+ */
+function chooseAction(state, playerName, level = DEFAULT_LEVEL, random = Math.random) {
+    const moves = rules.listValidMoves(state, playerName);
+    if (moves.length === 0) return { type: rules.canDraw(state, playerName) ? 'draw' : 'pass', player: playerName };
+
+    const strategy = STRATEGIES[normalizeLevel(level)];
+    const move = strategy.chooseMove(moves, buildView(state, playerName), random);
+    return { type: 'play', player: playerName, tile: move.tile, position: move.position };
+}
+
+module.exports = {
+    DEFAULT_LEVEL,
+    STRATEGIES,
+    normalizeLevel,
+    chooseAction
+};
@@ -18,22 +18,27 @@ function fetchAndShowRooms() {
         return;
       }
       container.innerHTML = '<b>Salas Disponibles:</b> ' + data.rooms.map(room => {
-        const isFull = room.connectedCount >= 4;
+        const seatCount = room.seatCount || 4;
+        const isFull = room.connectedCount >= seatCount;
         const roomLabel = room.roomId.replace(' ', '-');
         if (isFull) {
-          return `<span class="room-chip room-full" data-room="${room.roomId}" style="background:#888;color:#fff;opacity:0.5;cursor:not-allowed;pointer-events:none;">${roomLabel} (Llena)</span>`;
+          // A full room can still be joined: newcomers get in line for the table
+          return `<span class="room-chip room-full" data-room="${room.roomId}" style="background:#888;color:#fff;">${roomLabel} (Llena · fila: ${room.queueLength || 0})</span>`;
         } else {
-          return `<span class="room-chip" data-room="${room.roomId}">${roomLabel} (${room.connectedCount}/4)</span>`;
+          return `<span class="room-chip" data-room="${room.roomId}">${roomLabel} (${room.connectedCount}/${seatCount})</span>`;
         }
       }).join(' ');
       // Add click handler to fill room input
-      Array.from(container.getElementsByClassName('room-chip')).forEach(el => {
-        if (!el.classList.contains('room-full')) {
-          el.onclick = function() {
-            const input = document.getElementById('room-input');
-            if (input) input.value = this.getAttribute('data-room');
-          };
+      Array.from(container.getElementsByClassName('room-chip')).forEach((el, index) => {
+        // Player names go in as a plain attribute value, never as markup
+        const nextPair = data.rooms[index].nextPair;
+        if (nextPair && nextPair.length > 0) {
+          el.title = `Próxima pareja: ${nextPair.join(' y ')}`;
         }
+        el.onclick = function() {
+          const input = document.getElementById('room-input');
+          if (input) input.value = this.getAttribute('data-room');
+        };
       });
     });
 }
@@ -58,6 +63,20 @@ let passSound; // Sound played when a player passes their turn
 let winSound; // Sound played when a player wins the hand (domino)
 let playerPointsWon = {}; // Track points won by each player across matches
 let previousTeamScores = { teamA: 0, teamB: 0 }; // Track previous match scores for point calculation
+const BOT_LEVEL_LABELS = { easy: 'Fácil', medium: 'Medio', hard: 'Difícil' }; // Shown next to bot names
+const PARTNERSHIP_POLICY_NOTES = { // Shown in the waiting room
+    rotate: 'Las parejas rotan en cada match.',
+    fixed: 'Parejas fijas toda la noche.',
+    random: 'Las parejas se sortean en cada match.'
+};
+let isSpectator = false; // True while watching a full room instead of playing
+let spectatorName = null; // Our name on the spectator list and in the queue
+let turnDeadline = null; // Local time (Date.now()) when the current turn runs out, or null without a turn clock
+let voteDeadline = null; // Local time (Date.now()) when the open vote closes
+let votePanelKey = null; // What the vote panel was last built from
+let queuePanelKey = null; // What the queue panel was last built from
+let waitingRoomKey = null; // What the waiting room panel was last built from
+let hostPanelKey = null; // What the host panel was last built from, so it is only rebuilt when that changes
 
 // Function to save points to localStorage as backup
 function savePointsToLocalStorage() {
@@ -247,8 +266,14 @@ function draw() {
         updatePlayersUI();
         updateTeamInfo();
         updateRoomInfo();
+        updateRulesModal();
         updateScoreboard();
         updateMatchesWon();
+        updateSpectatorPanel();
+        updateHostPanel();
+        updateVotePanel();
+        updateWaitingRoom();
+        updateQueuePanel();
         
         // Ensure points table exists during active gameplay
         if (!document.getElementById('points-table-container') && gameState.jugadoresInfo && gameState.jugadoresInfo.length > 0) {
@@ -326,6 +351,13 @@ function setupLobby() {
         roomInput.style.width = '56%';
         roomInput.style.minWidth = '190px';
     }
+    // Invite links (/?sala=...&codigo=...) fill in the private room and its code
+    const inviteParams = new URLSearchParams(window.location.search);
+    if (inviteParams.get('sala')) {
+        roomInput.value = inviteParams.get('sala');
+        const passwordInput = document.getElementById('room-password');
+        if (passwordInput && inviteParams.get('codigo')) passwordInput.value = inviteParams.get('codigo');
+    }
     
     // ALWAYS start with empty name field (don't auto-fill old names)
     nameInput.value = '';
@@ -607,6 +639,7 @@ function setupLobby() {
             // Clear localStorage
             localStorage.removeItem('domino_player_name');
             localStorage.removeItem('domino_player_avatar');
+            localStorage.removeItem('domino_session_token');
             
             // Reset form
             nameInput.value = '';
@@ -826,6 +859,59 @@ function connectToServer(playerName, avatarData, roomId) {
             targetScore = parseInt(targetScoreSelect.value, 10) || 70;
         }
     }
+    // Optional practice seed: the rounds of a new room are dealt from it
+    const seedInput = document.getElementById('seed-input');
+    const seed = seedInput ? seedInput.value.trim() : '';
+    // Optional: bots take the seats nobody else claims
+    const fillBotsCheckbox = document.getElementById('fill-bots');
+    const fillWithBots = fillBotsCheckbox ? fillBotsCheckbox.checked : false;
+    // Private room: created with an optional password, joined with the password or invite code
+    const privateCheckbox = document.getElementById('private-room');
+    const isPrivate = privateCheckbox ? privateCheckbox.checked : false;
+    const passwordInput = document.getElementById('room-password');
+    const roomPassword = passwordInput ? passwordInput.value : '';
+    // How long a dropped player's seat waits before a bot stands in for them
+    const graceSelect = document.getElementById('grace-period');
+    const disconnectGraceSeconds = graceSelect ? parseInt(graceSelect.value, 10) : 60;
+    const turnTimerSelect = document.getElementById('turn-timer');
+    const turnSeconds = turnTimerSelect ? parseInt(turnTimerSelect.value, 10) : 0;
+    const partnershipSelect = document.getElementById('partnership-policy');
+    const partnershipPolicy = partnershipSelect ? partnershipSelect.value : 'rotate';
+    const scoringSelect = document.getElementById('scoring-mode');
+    const scoringMode = scoringSelect ? scoringSelect.value : 'classic';
+    const playerCountSelect = document.getElementById('player-count');
+    const playerCount = playerCountSelect ? parseInt(playerCountSelect.value, 10) : 4;
+    const individualScoringCheckbox = document.getElementById('individual-scoring');
+    const individualScoring = individualScoringCheckbox ? individualScoringCheckbox.checked : false;
+    const playerTargetSelect = document.getElementById('player-target-score');
+    const playerTargetScore = playerTargetSelect ? parseInt(playerTargetSelect.value, 10) : 100;
+    const tileSetSelect = document.getElementById('tile-set');
+    const tileSet = tileSetSelect ? tileSetSelect.value : 'doubleSix';
+    const capicuaSelect = document.getElementById('capicua-bonus');
+    const capicuaBonus = capicuaSelect ? parseInt(capicuaSelect.value, 10) : 0;
+    const paseCorridoSelect = document.getElementById('pase-corrido-bonus');
+    const paseCorridoBonus = paseCorridoSelect ? parseInt(paseCorridoSelect.value, 10) : 0;
+    const tranqueSelect = document.getElementById('tranque-winner');
+    const tranqueWinner = tranqueSelect ? tranqueSelect.value : 'lowestTeam';
+    const blockedScoringSelect = document.getElementById('blocked-game-scoring');
+    const blockedGameScoring = blockedScoringSelect ? blockedScoringSelect.value : 'losers';
+    const blockedTieSelect = document.getElementById('blocked-game-tie');
+    const blockedGameTie = blockedTieSelect ? blockedTieSelect.value : 'none';
+    const openingRuleSelect = document.getElementById('opening-rule');
+    const openingRule = openingRuleSelect ? openingRuleSelect.value : 'winner';
+    const roundToSelect = document.getElementById('round-to');
+    const countEverythingCheckbox = document.getElementById('count-everything');
+    const scoringOptions = {
+        roundTo: roundToSelect ? parseInt(roundToSelect.value, 10) : 0,
+        countEverything: countEverythingCheckbox ? countEverythingCheckbox.checked : false
+    };
+    const spinnerCheckbox = document.getElementById('four-way-spinner');
+    const fourWaySpinner = spinnerCheckbox ? spinnerCheckbox.checked : false;
+    const botLevels = {};
+    ['Jugador 2', 'Jugador 3', 'Jugador 4'].forEach(seatName => {
+        const levelSelect = document.getElementById(`bot-level-${seatName.slice(-1)}`);
+        if (levelSelect) botLevels[seatName] = levelSelect.value;
+    });
     socket = io();
 
     socket.on('connect', () => {
@@ -852,7 +938,37 @@ function connectToServer(playerName, avatarData, roomId) {
             }
         }
         
-        socket.emit('setPlayerName', { name: playerName, avatar: avatarData, roomId: roomId, targetScore: targetScore });
+        // The session token from our last seat lets the server hand that seat back to us
+        const sessionToken = localStorage.getItem('domino_session_token');
+        socket.emit('setPlayerName', {
+            name: playerName,
+            avatar: avatarData,
+            roomId: roomId,
+            sessionToken: sessionToken,
+            isPrivate: isPrivate,
+            roomPassword: roomPassword,
+            // Room settings: only used if we are the first to sit down
+            targetScore: targetScore,
+            seed: seed || null,
+            fillWithBots: fillWithBots,
+            botLevels: botLevels,
+            disconnectGraceSeconds: disconnectGraceSeconds,
+            turnSeconds: turnSeconds,
+            partnershipPolicy: partnershipPolicy,
+            scoringMode: scoringMode,
+            fourWaySpinner: fourWaySpinner,
+            tileSet: tileSet,
+            capicuaBonus: capicuaBonus,
+            paseCorridoBonus: paseCorridoBonus,
+            tranqueWinner: tranqueWinner,
+            blockedGameScoring: blockedGameScoring,
+            blockedGameTie: blockedGameTie,
+            scoringOptions: scoringOptions,
+            openingRule: openingRule,
+            playerCount: playerCount,
+            individualScoring: individualScoring,
+            playerTargetScore: playerTargetScore
+        });
 
         // Hide lobby and show game UI when connected
         const lobby = document.getElementById('lobby-container');
@@ -866,13 +982,97 @@ function connectToServer(playerName, avatarData, roomId) {
         }, 500);
     });
 
-    socket.on('playerAssigned', (name) => { myJugadorName = name; });
+    socket.on('playerAssigned', (data) => {
+        myJugadorName = typeof data === 'string' ? data : data.name;
+        isSpectator = false;
+        if (data && data.sessionToken) {
+            localStorage.setItem('domino_session_token', data.sessionToken);
+        }
+    });
+
+    // Host only: a player without a session token asks to return to their seat
+    socket.on('reclaimRequest', (data) => {
+        const approved = confirm(`${data.displayName} quiere volver a su asiento (${data.seatName}). ¿Es realmente esa persona?`);
+        socket.emit('answerReclaimRequest', { requestId: data.requestId, approved: approved });
+    });
+
+    socket.on('reclaimPending', (data) => showMessage(data.message));
+
+    // The room is full: we watch, and may be offered the seat of a player who dropped out
+    socket.on('spectating', (data) => {
+        myJugadorName = null;
+        myPlayerHand = [];
+        isSpectator = true;
+        spectatorName = data.displayName;
+        showMessage(data.message);
+    });
+
+    // Wrong or missing password for a private room: back to the lobby
+    socket.on('roomAccessDenied', (data) => {
+        alert(data.message);
+        socket.disconnect();
+        const lobby = document.getElementById('lobby-container');
+        const gameUI = document.getElementById('game-ui');
+        if (gameUI) gameUI.style.display = 'none';
+        if (lobby) lobby.style.display = 'flex';
+    });
+
+    // The host kicked us out: back to the lobby
+    socket.on('kicked', (data) => {
+        localStorage.removeItem('domino_session_token');
+        alert(data.message);
+        myJugadorName = null;
+        myPlayerHand = [];
+        const lobby = document.getElementById('lobby-container');
+        const gameUI = document.getElementById('game-ui');
+        if (gameUI) gameUI.style.display = 'none';
+        if (lobby) lobby.style.display = 'flex';
+    });
+
+    // Host actions and vote results are announced in the chat
+    socket.on('roomNotice', (data) => {
+        const messagesDiv = document.getElementById('chat-messages');
+        const messageElement = document.createElement('p');
+        messageElement.innerHTML = '<b>SISTEMA:</b> ';
+        messageElement.appendChild(document.createTextNode(data.message)); // Contains player names
+        messageElement.style.color = '#ffaa00';
+        messagesDiv.appendChild(messageElement);
+        messagesDiv.scrollTop = messagesDiv.scrollHeight;
+    });
+
+    // Our room is private: show the invite code and a link that fills it in
+    socket.on('privateRoom', (data) => {
+        const inviteLink = `${window.location.origin}/?sala=${encodeURIComponent(data.roomId)}&codigo=${encodeURIComponent(data.inviteCode)}`;
+        const messagesDiv = document.getElementById('chat-messages');
+        const messageElement = document.createElement('p');
+        messageElement.innerHTML = `<b>SISTEMA:</b> 🔒 Sala privada. Código de invitación: <b>${data.inviteCode}</b><br><a href="${inviteLink}" target="_blank" style="color:#FFD700;">${inviteLink}</a>`;
+        messageElement.style.color = '#ffaa00';
+        messagesDiv.appendChild(messageElement);
+        messagesDiv.scrollTop = messagesDiv.scrollHeight;
+    });
+
+    // Waiting room: another player wants our seat, and we get theirs
+    socket.on('seatSwapRequest', (data) => {
+        const accepted = confirm(`${data.displayName} quiere cambiar de asiento contigo (pasarías a ${data.seatName}). ¿Aceptas?`);
+        socket.emit('answerSeatSwap', { requestId: data.requestId, accepted });
+    });
+
+    socket.on('seatOffer', (data) => {
+        if (confirm(`${data.displayName} se desconectó en ${data.roomId}. ¿Quieres tomar su asiento (${data.seatName}) y seguir su mano?`)) {
+            socket.emit('acceptSeatOffer', { seatName: data.seatName });
+        }
+    });
 
     socket.on('gameState', (state) => {
+        // The server sends the time left, so our clock only has to measure from now
+        turnDeadline = typeof state.turnTimeLeft === 'number' ? Date.now() + state.turnTimeLeft : null;
+        voteDeadline = state.vote ? Date.now() + state.vote.timeLeft : null;
+
         // Check if this is a brand new game or initial connection
         const wasGameState = !!gameState && !!gameState.matchNumber;
         const isNewGame = !wasGameState || 
-                         (state.matchNumber === 1 && (!state.teamScores || (state.teamScores.teamA === 0 && state.teamScores.teamB === 0)));
+                         (state.matchNumber === 1 && (!state.teamScores || (state.teamScores.teamA === 0 && state.teamScores.teamB === 0)) &&
+                          Object.values(state.playerScores || {}).every(points => points === 0));
         
         // AGGRESSIVE CLEARING: Clear points on any of these conditions
         const shouldClearPoints = isNewGame || 
@@ -941,7 +1141,7 @@ function connectToServer(playerName, avatarData, roomId) {
                     }
                 }
                 if (gameState.isTiedBlockedGame) {
-                    message += "\nEl próximo juego lo inicia quien tenga el doble 6";
+                    message += `\n${nextOpenerText()}`;
                 }
             } else if (gameState.endRoundMessage && gameState.jugadoresInfo) {
                 const playersWithTiles = gameState.jugadoresInfo.filter(player => player.tileCount > 0);
@@ -951,7 +1151,7 @@ function connectToServer(playerName, avatarData, roomId) {
                 if (hasBlockedMessage || (playersWithTiles.length > 1 && playersWithNoTiles.length === 0 && !hasWinMessage)) {
                     message = gameState.endRoundMessage;
                     if (gameState.isTiedBlockedGame) {
-                        message += "\nEl próximo juego lo inicia quien tenga el doble 6";
+                        message += `\n${nextOpenerText()}`;
                     }
                 } else {
                     message = gameState.endRoundMessage;
@@ -970,7 +1170,26 @@ function connectToServer(playerName, avatarData, roomId) {
             } else if (gameState.roundOver) {
                 message = "Mano Finalizada";
             }
+            // How the hands that scored were counted
+            const scoringText = describeRoundScoring();
+            if (scoringText) {
+                message += `\n${scoringText}`;
+            }
+            // The server reveals the deal seed once the round is over
+            if (gameState.roundSeed !== null && gameState.roundSeed !== undefined) {
+                message += `\nSemilla de la mano: ${gameState.roundSeed}`;
+            }
             roundOverMessageDiv.innerText = message;
+            if (gameState.lastReplayId) {
+                const replayLink = document.createElement('a');
+                replayLink.href = `/replay/${gameState.lastReplayId}`;
+                replayLink.target = '_blank';
+                replayLink.textContent = '🎬 Ver repetición de la mano';
+                replayLink.style.display = 'block';
+                replayLink.style.color = '#FFD700';
+                replayLink.style.marginTop = '8px';
+                roundOverMessageDiv.appendChild(replayLink);
+            }
             
             // Show dialog with simplified styling (using !important to override other styles)
             const dialogStyle = {
@@ -1064,6 +1283,28 @@ function connectToServer(playerName, avatarData, roomId) {
         }
     });
 
+    // All-Fives and the Latin bonuses: points scored in the middle of a round
+    socket.on('moveScored', (data) => {
+        // Without teams the points are the player's own
+        const teamLabel = data.team ? (data.team === 'teamA' ? 'Equipo A' : 'Equipo B') : null;
+        const bonusLabel = data.bonus ? `${data.bonus}! ` : '';
+        showMessage(`✋ ${bonusLabel}${data.displayName} anota ${data.points}!` + (teamLabel ? ` (${teamLabel})` : ''));
+        const messagesDiv = document.getElementById('chat-messages');
+        const messageElement = document.createElement('p');
+        messageElement.innerHTML = '<b>SISTEMA:</b> ';
+        messageElement.appendChild(document.createTextNode(`✋ ${bonusLabel}${data.displayName} anota ${data.points}` + (teamLabel ? ` para el ${teamLabel}` : '')));
+        messageElement.style.color = '#7fff7f';
+        messagesDiv.appendChild(messageElement);
+        messagesDiv.scrollTop = messagesDiv.scrollHeight;
+    });
+
+    // Boneyard games: everyone sees who drew, and how many tiles are left
+    socket.on('playerDrew', (data) => {
+        if (data.playerName === myJugadorName) return;
+        const player = gameState.jugadoresInfo && gameState.jugadoresInfo.find(p => p.name === data.playerName);
+        showMessage(`${player ? player.displayName : data.playerName} roba del pozo (quedan ${data.boneyardCount})`);
+    });
+
     socket.on('playerPassed', (data) => {
         console.log('🔊 Player passed event received');
         if (passSound && passSound.isLoaded()) {
@@ -1078,6 +1319,10 @@ function connectToServer(playerName, avatarData, roomId) {
         }
     });
 
+    socket.on('turnTimedOut', (data) => {
+        showMessage(`${data.displayName} se quedó sin tiempo`);
+    });
+
     socket.on('playerWonHand', (data) => {
         console.log('🔊 Player won hand event received');
         if (winSound && winSound.isLoaded()) {
@@ -1118,7 +1363,11 @@ function connectToServer(playerName, avatarData, roomId) {
         const messageElement = document.createElement('p');
         const myDisplayName = gameState.jugadoresInfo.find(p => p.name === myJugadorName)?.displayName;
         const senderName = data.sender === myDisplayName ? 'You' : data.sender;
-        messageElement.innerHTML = `<b>${senderName}:</b> ${data.message}`;
+        // Names and messages are typed by players and spectators: text only, never markup
+        const senderElement = document.createElement('b');
+        senderElement.textContent = `${senderName}:`;
+        messageElement.appendChild(senderElement);
+        messageElement.appendChild(document.createTextNode(` ${data.message}`));
         messagesDiv.appendChild(messageElement);
         messagesDiv.scrollTop = messagesDiv.scrollHeight;
     });
@@ -1136,10 +1385,22 @@ function connectToServer(playerName, avatarData, roomId) {
 function setupButtonListeners() {
     document.getElementById('playLeftBtn').addEventListener('click', () => handlePlay('left'));
     document.getElementById('playRightBtn').addEventListener('click', () => handlePlay('right'));
+    document.getElementById('playUpBtn').addEventListener('click', () => handlePlay('up'));
+    document.getElementById('playDownBtn').addEventListener('click', () => handlePlay('down'));
+
+    document.getElementById('drawBtn').addEventListener('click', () => {
+        if (clientHasValidMove()) {
+            showMessage('Tiene jugada valida, no puede robar!');
+        } else {
+            socket.emit('drawTile');
+        }
+    });
 
     document.getElementById('passBtn').addEventListener('click', () => {
         if (clientHasValidMove()) {
             showMessage('Tiene jugada valida, no puede pasar!');
+        } else if (clientMustDraw()) {
+            showMessage('Debe robar del pozo antes de pasar!');
         } else {
             socket.emit('passTurn');
         }
@@ -1160,12 +1421,37 @@ function setupButtonListeners() {
         }
     });
 
-    // Restart game button
+    // Host only: let spectators write in the chat or not
+    const spectatorChatBtn = document.getElementById('spectator-chat-btn');
+    if (spectatorChatBtn) {
+        spectatorChatBtn.addEventListener('click', () => {
+            socket.emit('setSpectatorChat', { enabled: !gameState.spectatorChat });
+        });
+    }
+
+    // Host only: open the host panel, whose controls are wired up in updateHostPanel
+    const hostPanelBtn = document.getElementById('host-panel-btn');
+    if (hostPanelBtn) {
+        hostPanelBtn.addEventListener('click', () => {
+            document.getElementById('host-panel').classList.toggle('open');
+        });
+    }
+
+    // Restart game button: the other players vote on it
     const restartGameBtn = document.getElementById('restart-game-btn');
     if (restartGameBtn) {
         restartGameBtn.addEventListener('click', () => {
-            if (confirm('¿Estás seguro de que quieres reiniciar el juego completamente? Esto borrará todos los puntajes y estadísticas.')) {
-                socket.emit('restartGame');
+            if (confirm('¿Proponer reiniciar el juego? Si la votación se aprueba se borrarán todos los puntajes y estadísticas.')) {
+                socket.emit('startVote', { action: 'restart' });
+            }
+        });
+    }
+
+    const endMatchBtn = document.getElementById('end-match-btn');
+    if (endMatchBtn) {
+        endMatchBtn.addEventListener('click', () => {
+            if (confirm('¿Proponer terminar este match? Nadie ganará puntos de match.')) {
+                socket.emit('startVote', { action: 'endMatch' });
             }
         });
     }
@@ -1226,10 +1512,22 @@ function updateUI() {
     if (isMyTurn) {
         document.getElementById('playLeftBtn').disabled = selectedTileIndex === null;
         document.getElementById('playRightBtn').disabled = selectedTileIndex === null;
+        // Boneyard games: draw while nothing fits and the boneyard has tiles
+        const drawBtn = document.getElementById('drawBtn');
+        drawBtn.style.display = gameState.drawFromBoneyard ? '' : 'none';
+        drawBtn.disabled = !clientMustDraw();
+        drawBtn.textContent = `Robar (${boneyardCount()})`;
+        // Up and down only exist once the spinner has opened its arms
+        ['up', 'down'].forEach(position => {
+            const button = document.getElementById(`play${position === 'up' ? 'Up' : 'Down'}Btn`);
+            const isOpen = gameState[`${position}End`] !== null && gameState[`${position}End`] !== undefined;
+            button.style.display = isOpen ? '' : 'none';
+            button.disabled = selectedTileIndex === null;
+        });
         
         // Show special message for first move after tied blocked game
         if (gameState.isFirstMove && gameState.isAfterTiedBlockedGame) {
-            showMessage('Tu turno! Puedes jugar cualquier ficha (tienes el doble 6)');
+            showMessage(`Tu turno! Puedes jugar cualquier ficha (tienes el doble ${gameState.openingDouble})`);
         }
     }
 }
@@ -1314,12 +1612,32 @@ function getPlayerIcon(imgElement, displayName, internalPlayerName) {
     tryNextAvatar();
 }
 
+/**
+ * Returns the player drawn at the bottom of the table: ourselves, or for a
+ * spectator the first player in the seating order.
+ */
+function getViewpointPlayer() {
+    if (myJugadorName) return myJugadorName;
+    return isSpectator && gameState.seating && gameState.seating.length > 0 ? gameState.seating[0] : null;
+}
+
 /**
  * Determines player UI positions dynamically based on teams and turn order.
- * You are always 'bottom', your partner is 'top'.
+ * You are always 'bottom', your partner is 'top'. Without teams the others
+ * simply follow the turn order around the table.
  */
 function determinePlayerPositions() {
-    if (!myJugadorName || !gameState.teams || !gameState.teams.teamA || !gameState.seating || gameState.seating.length < 4) {
+    const viewpoint = getViewpointPlayer();
+    if (viewpoint && gameState.individualScoring && gameState.seating && gameState.seating.includes(viewpoint)) {
+        const places = { 2: ['bottom', 'top'], 3: ['bottom', 'right', 'left'], 4: ['bottom', 'right', 'top', 'left'] }[gameState.seating.length] || [];
+        const myIndex = gameState.seating.indexOf(viewpoint);
+        const positions = {};
+        places.forEach((place, offset) => {
+            positions[gameState.seating[(myIndex + offset) % gameState.seating.length]] = place;
+        });
+        return positions;
+    }
+    if (!viewpoint || !gameState.teams || !gameState.teams.teamA || !gameState.seating || gameState.seating.length < 4) {
         return {};
     }
 
@@ -1327,10 +1645,10 @@ function determinePlayerPositions() {
     
     // Find my team and opponent team
     let myTeam, opponentTeam;
-    if (teams.teamA.includes(myJugadorName)) {
+    if (teams.teamA.includes(viewpoint)) {
         myTeam = teams.teamA;
         opponentTeam = teams.teamB;
-    } else if (teams.teamB.includes(myJugadorName)) {
+    } else if (teams.teamB.includes(viewpoint)) {
         myTeam = teams.teamB;
         opponentTeam = teams.teamA;
     } else {
@@ -1338,10 +1656,10 @@ function determinePlayerPositions() {
     }
 
     // Find my partner
-    const partner = myTeam.find(p => p !== myJugadorName);
+    const partner = myTeam.find(p => p !== viewpoint);
 
     // Determine left and right opponents from the clockwise seating order
-    const mySeatingIndex = seating.indexOf(myJugadorName);
+    const mySeatingIndex = seating.indexOf(viewpoint);
     if (mySeatingIndex === -1) return {};
 
     const rightOpponent = seating[(mySeatingIndex + 1) % 4];
@@ -1349,7 +1667,7 @@ function determinePlayerPositions() {
 
     // Create the position mapping
     const positions = {
-        [myJugadorName]: 'bottom',
+        [viewpoint]: 'bottom',
         [partner]: 'top',
         [rightOpponent]: 'right',
         [leftOpponent]: 'left'
@@ -1357,7 +1675,7 @@ function determinePlayerPositions() {
     
     // Validate that opponents are correct
     if (!opponentTeam.includes(rightOpponent) || !opponentTeam.includes(leftOpponent)) {
-       // This can happen briefly during team rotation, return an empty object to avoid errors.
+       // This can happen briefly while new partners are set up, return an empty object to avoid errors.
        return {};
     }
 
@@ -1366,7 +1684,7 @@ function determinePlayerPositions() {
 
 
 function updatePlayersUI() {
-    if (!gameState || !gameState.jugadoresInfo || !myJugadorName) { return; }
+    if (!gameState || !gameState.jugadoresInfo || !getViewpointPlayer()) { return; }
 
     console.log('🎮 Updating players UI with game state:', gameState.jugadoresInfo);
 
@@ -1378,7 +1696,7 @@ function updatePlayersUI() {
         if (div) div.style.display = 'none';
     });
 
-    if (Object.keys(playerPositions).length < 4) {
+    if (Object.keys(playerPositions).length === 0 || Object.keys(playerPositions).length < (gameState.seating || []).length) {
         // Even if we can't position players properly, still show the points table
         createPointsTable({});
         return;
@@ -1467,7 +1785,10 @@ function updatePlayersUI() {
         // Create the player name div
         const nameDiv = document.createElement('div');
         nameDiv.className = 'player-name';
-        nameDiv.textContent = `${finalDisplayName} ${playerName === myJugadorName ? '(You)' : ''}`;
+        const botLevelText = playerData.isBot && BOT_LEVEL_LABELS[playerData.botLevel] ? ` [${BOT_LEVEL_LABELS[playerData.botLevel]}]` : '';
+        const standInText = playerData.standingInFor ? ` (por ${playerData.standingInFor})` : '';
+        const hostBadge = playerName === gameState.hostName ? '👑 ' : '';
+        nameDiv.textContent = `${hostBadge}${finalDisplayName}${botLevelText}${standInText} ${playerName === myJugadorName ? '(You)' : ''}`;
         
         // Create the tile count container
         const tileCountDiv = document.createElement('div');
@@ -1481,7 +1802,7 @@ function updatePlayersUI() {
         
         // Add the text
         const tileText = document.createElement('span');
-        tileText.textContent = `Fichas: ${playerData.tileCount}`;
+        tileText.textContent = `Fichas: ${playerData.tileCount}` + (playerData.drawnCount ? ` (robó ${playerData.drawnCount})` : '');
         tileCountDiv.appendChild(tileText);
         
         // Add tiny visual dominoes
@@ -1492,6 +1813,16 @@ function updatePlayersUI() {
         infoDiv.appendChild(nameDiv);
         infoDiv.appendChild(tileCountDiv);
 
+        // Countdown on the avatar of the player whose turn it is
+        if (turnDeadline && playerData.name === gameState.currentTurn && gameState.gameInitialized) {
+            const secondsLeft = Math.max(0, Math.ceil((turnDeadline - Date.now()) / 1000));
+            const countdownDiv = document.createElement('div');
+            countdownDiv.className = 'turn-countdown';
+            countdownDiv.classList.toggle('urgent', secondsLeft <= 5);
+            countdownDiv.textContent = secondsLeft;
+            avatarDiv.appendChild(countdownDiv);
+        }
+
         div.appendChild(avatarDiv);
         div.appendChild(infoDiv);
 
@@ -1712,6 +2043,8 @@ function createPointsTableNow() {
             `;
         });
         
+        html += `<div style="margin-top: 4px; border-top: 1px solid #A0926B; padding-top: 3px; color: #C0C0C0; font-size: 10px;">${scoringOptionsText()}</div>`;
+
         contentDiv.innerHTML = html;
         console.log('Points table updated with rankings');
     };
@@ -1800,9 +2133,336 @@ function updateTeamInfo() {
     let teamsHtml = `<b>Match ${matchNumber || 1}</b><br>`;
     if (teams.teamA && teams.teamA.length > 0) { teamsHtml += `<b>Equipo A:</b> ${teams.teamA.map(getDisplayName).join(' & ')}<br>`; }
     if (teams.teamB && teams.teamB.length > 0) { teamsHtml += `<b>Equipo B:</b> ${teams.teamB.map(getDisplayName).join(' & ')}<br>`; }
+    if (gameState.individualScoring) { teamsHtml += `Cada uno juega por su cuenta<br>`; }
     teamInfoDiv.innerHTML = teamsHtml;
 }
 
+/**
+ * Shows who is watching, the host's spectator-chat switch, and locks the chat
+ * box for spectators while spectator chat is off.
+ */
+function updateSpectatorPanel() {
+    const listDiv = document.getElementById('spectator-list');
+    if (listDiv) {
+        const names = (gameState.spectators || []).map(s => s.displayName);
+        const text = names.length > 0 ? `👀 Espectadores (${names.length}): ${names.join(', ')}` : '';
+        if (listDiv.textContent !== text) listDiv.textContent = text;
+    }
+
+    const chatBtn = document.getElementById('spectator-chat-btn');
+    if (chatBtn) {
+        const isHost = !!myJugadorName && gameState.hostName === myJugadorName;
+        chatBtn.style.display = isHost ? 'inline-block' : 'none';
+        chatBtn.classList.toggle('enabled', !!gameState.spectatorChat);
+        chatBtn.title = gameState.spectatorChat ? 'Los espectadores pueden escribir' : 'Los espectadores no pueden escribir';
+    }
+
+    const chatInput = document.getElementById('chat-input');
+    if (chatInput) {
+        const chatLocked = isSpectator && gameState.spectatorChat === false;
+        if (chatInput.disabled !== chatLocked) {
+            chatInput.disabled = chatLocked;
+            chatInput.placeholder = chatLocked ? 'Chat de espectadores desactivado' : 'Type a message...';
+        }
+    }
+}
+
+/**
+ * Shows the host panel button to the host, and builds the panel: lock switch,
+ * kick and hand-over buttons per player, and the room settings before the first round.
+ */
+function updateHostPanel() {
+    const panelBtn = document.getElementById('host-panel-btn');
+    const panel = document.getElementById('host-panel');
+    if (!panelBtn || !panel) return;
+
+    const isHost = !!myJugadorName && gameState.hostName === myJugadorName;
+    panelBtn.style.display = isHost ? 'inline-block' : 'none';
+    if (!isHost) {
+        panel.classList.remove('open');
+        hostPanelKey = null;
+        return;
+    }
+
+    const players = (gameState.jugadoresInfo || []).filter(p => p.name !== myJugadorName && p.displayName !== p.name && !p.isBot);
+    const key = JSON.stringify([gameState.locked, gameState.canChangeSettings, gameState.targetScore, gameState.turnSeconds, gameState.voteRule, gameState.partnershipPolicy, gameState.scoringMode, gameState.fourWaySpinner, gameState.tileSet, gameState.playerCount, gameState.individualScoring, gameState.playerTargetScore, gameState.capicuaBonus, gameState.paseCorridoBonus, gameState.tranqueWinner, gameState.blockedGameScoring, gameState.blockedGameTie, gameState.scoringOptions, gameState.openingRule, players.map(p => [p.name, p.displayName, p.isConnected])]);
+    if (key === hostPanelKey) return;
+    hostPanelKey = key;
+
+    panel.innerHTML = '';
+    const lockRow = document.createElement('label');
+    lockRow.className = 'host-row';
+    const lockBox = document.createElement('input');
+    lockBox.type = 'checkbox';
+    lockBox.checked = !!gameState.locked;
+    lockBox.addEventListener('change', () => socket.emit('lockRoom', { locked: lockBox.checked }));
+    lockRow.appendChild(lockBox);
+    lockRow.appendChild(document.createTextNode('🔒 Cerrar la sala a nuevos jugadores'));
+    panel.appendChild(lockRow);
+
+    players.forEach(player => {
+        const row = document.createElement('div');
+        row.className = 'host-row';
+        const label = document.createElement('span');
+        label.textContent = `${player.displayName} (${player.name})`;
+        row.appendChild(label);
+
+        const kickBtn = document.createElement('button');
+        kickBtn.type = 'button';
+        kickBtn.textContent = 'Expulsar';
+        kickBtn.addEventListener('click', () => {
+            if (confirm(`¿Expulsar a ${player.displayName} de la sala?`)) {
+                socket.emit('kickPlayer', { seatName: player.name });
+            }
+        });
+        row.appendChild(kickBtn);
+
+        if (player.isConnected) {
+            const hostBtn = document.createElement('button');
+            hostBtn.type = 'button';
+            hostBtn.textContent = 'Hacer anfitrión';
+            hostBtn.addEventListener('click', () => socket.emit('transferHost', { seatName: player.name }));
+            row.appendChild(hostBtn);
+        }
+        panel.appendChild(row);
+    });
+
+    // The rules can only change until the first round is dealt
+    if (gameState.canChangeSettings) {
+        const settingsRow = document.createElement('div');
+        settingsRow.className = 'host-row';
+        settingsRow.innerHTML = `
+            <label>Puntaje: <select class="host-target-score">${[70, 100, 50, 30].map(v => `<option value="${v}">${v}</option>`).join('')}</select></label>
+            <label>Turno: <select class="host-turn-seconds">${[[0, 'Sin reloj'], [15, '15 s'], [30, '30 s'], [60, '60 s']].map(([v, text]) => `<option value="${v}">${text}</option>`).join('')}</select></label>
+            <label>Juego: <select class="host-scoring-mode"><option value="classic">Clásico</option><option value="allFives">Todos los cincos</option></select></label>
+            <label>Mesa: <select class="host-player-count"><option value="4">4 (parejas)</option><option value="3">3 (con pozo)</option><option value="2">2 (con pozo)</option></select></label>
+            <label><input type="checkbox" class="host-individual-scoring"> Cada uno por su cuenta</label>
+            <label>Meta individual: <select class="host-player-target-score">${[100, 150, 200, 50].map(v => `<option value="${v}">${v}</option>`).join('')}</select></label>
+            <label>Fichas: <select class="host-tile-set"><option value="doubleSix">Doble 6</option><option value="doubleNine">Doble 9</option><option value="doubleTwelve">Doble 12</option></select></label>
+            <label><input type="checkbox" class="host-four-way-spinner"> Doble en cruz</label>
+            <label>Capicúa: <select class="host-capicua-bonus">${[[0, 'No'], [25, '25'], [50, '50'], [100, '100']].map(([v, text]) => `<option value="${v}">${text}</option>`).join('')}</select></label>
+            <label>Pase corrido: <select class="host-pase-corrido-bonus">${[[0, 'No'], [25, '25'], [50, '50']].map(([v, text]) => `<option value="${v}">${text}</option>`).join('')}</select></label>
+            <label>Tranque: <select class="host-tranque-winner"><option value="lowestTeam">Menos puntos</option><option value="lowestPlayer">Mano más baja</option><option value="closer">Quien tranca</option></select></label>
+            <label>Cierre: <select class="host-blocked-game-scoring"><option value="losers">Puntos del rival</option><option value="allHands">Todas las manos</option></select></label>
+            <label>Empate: <select class="host-blocked-game-tie"><option value="none">Nadie gana</option><option value="closer">Quien tranca</option></select></label>
+            <label>Redondeo: <select class="host-round-to"><option value="0">Exacto</option><option value="5">A 5</option><option value="10">A 10</option></select></label>
+            <label><input type="checkbox" class="host-count-everything"> Contar todo</label>
+            <label>Salida: <select class="host-opening-rule"><option value="winner">El que ganó</option><option value="rotate">Rota</option><option value="anyDouble">Cualquier doble</option></select></label>
+            <label>Parejas: <select class="host-partnership-policy"><option value="rotate">Rotan</option><option value="fixed">Fijas</option><option value="random">Al azar</option></select></label>
+            <label>Votos: <select class="host-vote-rule"><option value="majority">Mayoría</option><option value="unanimous">Unanimidad</option></select></label>`;
+        settingsRow.querySelector('.host-target-score').value = String(gameState.targetScore);
+        settingsRow.querySelector('.host-turn-seconds').value = String(gameState.turnSeconds || 0);
+        settingsRow.querySelector('.host-vote-rule').value = gameState.voteRule || 'majority';
+        settingsRow.querySelector('.host-partnership-policy').value = gameState.partnershipPolicy || 'rotate';
+        settingsRow.querySelector('.host-scoring-mode').value = gameState.scoringMode || 'classic';
+        settingsRow.querySelector('.host-player-count').value = String(gameState.playerCount || 4);
+        settingsRow.querySelector('.host-individual-scoring').checked = !!gameState.individualScoring;
+        settingsRow.querySelector('.host-player-target-score').value = String(gameState.playerTargetScore || 100);
+        settingsRow.querySelector('.host-tile-set').value = gameState.tileSet || 'doubleSix';
+        settingsRow.querySelector('.host-four-way-spinner').checked = !!gameState.fourWaySpinner;
+        settingsRow.querySelector('.host-capicua-bonus').value = String(gameState.capicuaBonus || 0);
+        settingsRow.querySelector('.host-pase-corrido-bonus').value = String(gameState.paseCorridoBonus || 0);
+        settingsRow.querySelector('.host-tranque-winner').value = gameState.tranqueWinner || 'lowestTeam';
+        settingsRow.querySelector('.host-blocked-game-scoring').value = gameState.blockedGameScoring || 'losers';
+        settingsRow.querySelector('.host-blocked-game-tie').value = gameState.blockedGameTie || 'none';
+        const scoringOptions = gameState.scoringOptions || {};
+        settingsRow.querySelector('.host-round-to').value = String(scoringOptions.roundTo || 0);
+        settingsRow.querySelector('.host-count-everything').checked = !!scoringOptions.countEverything;
+        settingsRow.querySelector('.host-opening-rule').value = gameState.openingRule || 'winner';
+
+        const applyBtn = document.createElement('button');
+        applyBtn.type = 'button';
+        applyBtn.textContent = 'Aplicar';
+        applyBtn.addEventListener('click', () => {
+            socket.emit('updateRoomSettings', {
+                targetScore: parseInt(settingsRow.querySelector('.host-target-score').value, 10),
+                turnSeconds: parseInt(settingsRow.querySelector('.host-turn-seconds').value, 10),
+                voteRule: settingsRow.querySelector('.host-vote-rule').value,
+                partnershipPolicy: settingsRow.querySelector('.host-partnership-policy').value,
+                scoringMode: settingsRow.querySelector('.host-scoring-mode').value,
+                playerCount: parseInt(settingsRow.querySelector('.host-player-count').value, 10),
+                individualScoring: settingsRow.querySelector('.host-individual-scoring').checked,
+                playerTargetScore: parseInt(settingsRow.querySelector('.host-player-target-score').value, 10),
+                tileSet: settingsRow.querySelector('.host-tile-set').value,
+                fourWaySpinner: settingsRow.querySelector('.host-four-way-spinner').checked,
+                capicuaBonus: parseInt(settingsRow.querySelector('.host-capicua-bonus').value, 10),
+                paseCorridoBonus: parseInt(settingsRow.querySelector('.host-pase-corrido-bonus').value, 10),
+                tranqueWinner: settingsRow.querySelector('.host-tranque-winner').value,
+                blockedGameScoring: settingsRow.querySelector('.host-blocked-game-scoring').value,
+                blockedGameTie: settingsRow.querySelector('.host-blocked-game-tie').value,
+                scoringOptions: {
+                    roundTo: parseInt(settingsRow.querySelector('.host-round-to').value, 10),
+                    countEverything: settingsRow.querySelector('.host-count-everything').checked
+                },
+                openingRule: settingsRow.querySelector('.host-opening-rule').value
+            });
+        });
+        settingsRow.appendChild(applyBtn);
+        panel.appendChild(settingsRow);
+    }
+}
+
+/**
+ * Shows who is in line for the table and the pair that sits in when the match
+ * ends, with a button for spectators to get in or out of line.
+ */
+function updateQueuePanel() {
+    const panel = document.getElementById('queue-panel');
+    if (!panel) return;
+
+    const queue = gameState.queue || [];
+    const inQueue = isSpectator && queue.includes(spectatorName);
+    const key = JSON.stringify([queue, isSpectator, inQueue]);
+    if (key === queuePanelKey) return;
+    queuePanelKey = key;
+
+    panel.innerHTML = '';
+    panel.style.display = queue.length > 0 || isSpectator ? 'block' : 'none';
+    if (queue.length > 0) {
+        const list = document.createElement('div');
+        list.textContent = `🔁 Fila: ${queue.map((name, index) => `${index + 1}. ${name}`).join('  ')}`;
+        panel.appendChild(list);
+        const nextPair = document.createElement('div');
+        nextPair.textContent = queue.length >= 2
+            ? `Próxima pareja: ${queue[0]} y ${queue[1]} (entran cuando termine el match)`
+            : 'Falta otra persona en la fila para la próxima pareja';
+        panel.appendChild(nextPair);
+    }
+
+    if (isSpectator) {
+        const queueBtn = document.createElement('button');
+        queueBtn.type = 'button';
+        queueBtn.textContent = inQueue ? 'Salir de la fila' : 'Ponerme en la fila';
+        queueBtn.addEventListener('click', () => socket.emit(inQueue ? 'leaveQueue' : 'joinQueue'));
+        panel.appendChild(queueBtn);
+    }
+}
+
+/**
+ * Shows the waiting room before the first round: both teams with who sits where
+ * and who is ready, a button to move to each seat, Ready, and the host's Start.
+ */
+function updateWaitingRoom() {
+    const panel = document.getElementById('waiting-room');
+    if (!panel) return;
+
+    const waitingRoom = gameState.waitingRoom;
+    if (!waitingRoom || !gameState.jugadoresInfo) {
+        panel.style.display = 'none';
+        waitingRoomKey = null;
+        return;
+    }
+
+    const isHost = !!myJugadorName && gameState.hostName === myJugadorName;
+    const key = JSON.stringify([waitingRoom, myJugadorName, isHost, gameState.partnershipPolicy, gameState.jugadoresInfo.map(p => [p.displayName, p.isConnected, p.isBot])]);
+    if (key === waitingRoomKey) return;
+    waitingRoomKey = key;
+
+    panel.style.display = 'block';
+    panel.innerHTML = '';
+    const title = document.createElement('h3');
+    title.textContent = `Sala de espera · ${gameState.roomId}`;
+    panel.appendChild(title);
+
+    // Random partners are only drawn when the match starts, and smaller tables have none: show the table as one group
+    const groups = waitingRoom.teams
+        ? [['Equipo A', waitingRoom.teams.teamA], ['Equipo B', waitingRoom.teams.teamB]]
+        : [['Mesa', gameState.jugadoresInfo.map(p => p.name)]];
+    const teamsDiv = document.createElement('div');
+    teamsDiv.className = 'waiting-teams';
+    groups.forEach(([teamLabel, seatNames]) => {
+        const teamDiv = document.createElement('div');
+        teamDiv.className = 'waiting-team';
+        const header = document.createElement('h4');
+        header.textContent = teamLabel;
+        teamDiv.appendChild(header);
+
+        seatNames.forEach(seatName => {
+            const player = gameState.jugadoresInfo.find(p => p.name === seatName);
+            const row = document.createElement('div');
+            row.className = 'waiting-seat';
+            const label = document.createElement('span');
+            const isReady = waitingRoom.ready.includes(seatName);
+            const occupant = player && player.isConnected ? player.displayName : 'Libre';
+            label.textContent = `${isReady ? '✅' : '⏳'} ${occupant} (${seatName})${seatName === gameState.hostName ? ' 👑' : ''}`;
+            row.appendChild(label);
+
+            if (myJugadorName && seatName !== myJugadorName) {
+                const seatBtn = document.createElement('button');
+                seatBtn.type = 'button';
+                seatBtn.textContent = player && player.isConnected && !player.isBot ? 'Pedir cambio' : 'Sentarme aquí';
+                seatBtn.addEventListener('click', () => socket.emit('chooseSeat', { seatName }));
+                row.appendChild(seatBtn);
+            }
+            teamDiv.appendChild(row);
+        });
+        teamsDiv.appendChild(teamDiv);
+    });
+    panel.appendChild(teamsDiv);
+
+    const note = document.createElement('p');
+    note.textContent = PARTNERSHIP_POLICY_NOTES[gameState.partnershipPolicy] || PARTNERSHIP_POLICY_NOTES.rotate;
+    panel.appendChild(note);
+
+    if (myJugadorName) {
+        const amReady = waitingRoom.ready.includes(myJugadorName);
+        const readyBtn = document.createElement('button');
+        readyBtn.type = 'button';
+        readyBtn.className = amReady ? 'ready' : '';
+        readyBtn.textContent = amReady ? 'Listo ✅ (cancelar)' : 'Estoy listo';
+        readyBtn.addEventListener('click', () => socket.emit('setReady', { ready: !amReady }));
+        panel.appendChild(readyBtn);
+    }
+    if (isHost) {
+        const startBtn = document.createElement('button');
+        startBtn.type = 'button';
+        startBtn.textContent = '▶ Empezar';
+        startBtn.disabled = !waitingRoom.canStart;
+        startBtn.title = waitingRoom.canStart ? '' : 'Faltan jugadores o alguien no está listo';
+        startBtn.addEventListener('click', () => socket.emit('startGame'));
+        panel.appendChild(startBtn);
+    }
+}
+
+/**
+ * Shows the open vote with its tally and time left, and Sí/No buttons for
+ * players who still have to vote.
+ */
+function updateVotePanel() {
+    const panel = document.getElementById('vote-panel');
+    if (!panel) return;
+
+    const vote = gameState.vote;
+    if (!vote) {
+        panel.style.display = 'none';
+        votePanelKey = null;
+        return;
+    }
+
+    const secondsLeft = Math.max(0, Math.ceil((voteDeadline - Date.now()) / 1000));
+    const canVote = !!myJugadorName && vote.voters.includes(myJugadorName) && !vote.voted.includes(myJugadorName);
+    const key = JSON.stringify([vote.id, vote.yes, vote.no, vote.voters.length, canVote, secondsLeft]);
+    if (key === votePanelKey) return;
+    votePanelKey = key;
+
+    panel.style.display = 'block';
+    panel.innerHTML = '';
+    const text = document.createElement('div');
+    const ruleText = vote.rule === 'unanimous' ? 'unanimidad' : 'mayoría';
+    text.textContent = `🗳️ ${vote.requestedBy} propone ${vote.label}. Sí ${vote.yes} · No ${vote.no} de ${vote.voters.length} (${ruleText}) · ${secondsLeft} s`;
+    panel.appendChild(text);
+
+    if (canVote) {
+        [[true, 'Sí'], [false, 'No']].forEach(([approve, label]) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = label;
+            button.addEventListener('click', () => socket.emit('castVote', { voteId: vote.id, approve }));
+            panel.appendChild(button);
+        });
+    }
+}
+
 function updateRoomInfo() {
     // If the lobby is visible, hide the legend and return
     const lobby = document.getElementById('lobby-container');
@@ -1866,7 +2526,10 @@ function updateRoomInfo() {
         legendDiv.style.top = '8px';
         legendDiv.style.left = '12px';
     }
-    if (gameState && gameState.roomId && gameState.targetScore) {
+    if (gameState && gameState.roomId && gameState.individualScoring && gameState.playerTargetScore) {
+        legendDiv.textContent = `${gameState.roomId.replace(' ', '-')} a ${gameState.playerTargetScore} puntos por jugador`;
+        legendDiv.style.display = 'block';
+    } else if (gameState && gameState.roomId && gameState.targetScore) {
         legendDiv.textContent = `${gameState.roomId.replace(' ', '-')} a ${gameState.targetScore} puntos`;
         legendDiv.style.display = 'block';
     } else if (gameState && gameState.roomId) {
@@ -1882,6 +2545,26 @@ function updateScoreboard() {
     const scoreboardDiv = document.getElementById('scoreboard');
     if (!scoreboardDiv || !gameState.teamScores) return;
     const { teamScores } = gameState;
+    if (gameState.individualScoring && gameState.playerScores) {
+        // One line per player, leader first, each against the individual target
+        const entries = Object.entries(gameState.playerScores).sort((a, b) => b[1] - a[1]);
+        const leaderPoints = entries.length ? entries[0][1] : 0;
+        const target = gameState.playerTargetScore ? ` / ${gameState.playerTargetScore}` : '';
+        scoreboardDiv.innerHTML = '<b>Scores</b>';
+        entries.forEach(([name, points]) => {
+            const player = (gameState.jugadoresInfo || []).find(p => p.name === name);
+            const row = document.createElement('div');
+            row.textContent = `${player ? player.displayName : name}: ${points}${target}`; // Display names are typed by players
+            if (points > 0 && points === leaderPoints) row.style.color = 'gold';
+            scoreboardDiv.appendChild(row);
+        });
+        if (gameState.drawFromBoneyard) {
+            const boneyardRow = document.createElement('div');
+            boneyardRow.textContent = `Pozo: ${boneyardCount()}`;
+            scoreboardDiv.appendChild(boneyardRow);
+        }
+        return;
+    }
     scoreboardDiv.innerHTML = `
         <b>Scores</b><br>
         Equipo A: ${teamScores.teamA || 0}<br>
@@ -1989,70 +2672,6 @@ function drawHand() {
     });
 }
 
-function drawPips(pips, x, y, w, h, isHorizontal = false) {
-    const patterns = {
-      1: [[0.5, 0.5]],
-      2: [[0.25, 0.25], [0.75, 0.75]],
-      3: [[0.25, 0.25], [0.5, 0.5], [0.75, 0.75]],
-      4: [[0.25, 0.25], [0.75, 0.25], [0.25, 0.75], [0.75, 0.75]],
-      5: [[0.25, 0.25], [0.75, 0.25], [0.5, 0.5], [0.25, 0.75], [0.75, 0.75]],
-      6: [[0.25, 0.25], [0.75, 0.25], [0.25, 0.5], [0.75, 0.5], [0.25, 0.75], [0.75, 0.75]]
-    };
-    
-    if (pips === 0 || !patterns[pips]) return;
-
-    push();
-    translate(x + w / 2, y + h / 2);
-    if (pips === 6 && isHorizontal) {
-        rotate(PI / 2);
-    }
-
-    const currentPattern = patterns[pips];
-    fill(0);
-    noStroke();
-    const pipSize = w / 6.5;
-
-    currentPattern.forEach(p => {
-        const pipX = (p[0] - 0.5) * w;
-        const pipY = (p[1] - 0.5) * h;
-        ellipse(pipX, pipY, pipSize, pipSize);
-    });
-    pop();
-}
-
-// NEW: Added isHighlighted parameter
-function drawSingleDomino(domino, x, y, w, h, isSelected, isReversed, isHighlighted = false) {
-    push();
-    translate(x, y);
-
-    if (isHighlighted) {
-        strokeWeight(4);
-        stroke(0, 255, 255); // Bright cyan color for the glow
-    } else {
-        strokeWeight(isSelected ? 3 : 1.5);
-        stroke(isSelected ? 'yellow' : 'black');
-    }
-
-    fill(245);
-    rect(0, 0, w, h, 6);
-    strokeWeight(1);
-    stroke(0);
-    
-    const val1 = isReversed ? domino.right : domino.left;
-    const val2 = isReversed ? domino.left : domino.right;
-
-    if (w > h) { // Horizontal Tile
-        line(w / 2, 4, w / 2, h - 4);
-        drawPips(val1, 0, 0, w / 2, h, true);
-        drawPips(val2, w / 2, 0, w / 2, h, true);
-    } else { // Vertical Tile
-        line(4, h / 2, w - 4, h / 2);
-        drawPips(val1, 0, 0, w, h / 2, false);
-        drawPips(val2, 0, h / 2, w, h / 2, false);
-    }
-    pop();
-}
-
 function updateMatchesWon() {
     const container = document.getElementById('matches-won-container');
     if (!container) return;
@@ -2123,405 +2742,106 @@ function updateMatchesWon() {
 }
 
 
-
 /**
- * Draws the entire board of played dominoes, handling the layout logic.
- * This is your original function, with the glow logic integrated.
+ * Names the double that opens after a tied blocked game: the 6|6 in a double-six
+ * set, the highest one dealt with the bigger sets.
  */
-function drawBoard() {
-    // 52. Check if board data exists and has spinner tile
-    if (!gameState.board || gameState.board.length === 0 || !gameState.spinnerTile) return;
-
-    // 53. Extract board data and define domino dimensions
-    const { board, spinnerTile } = gameState;
-    // 54. Set standard domino dimensions and spacing
-    const long = 100*.95, short = 50*.95, gap = 2;
-    // 55. Calculate board center Y position
-    const boardCenterY = height / 2 - 218;
-
-    // 56. Find spinner tile index in the board array
-    const spinnerIndex = board.findIndex(t => t.left === spinnerTile.left && t.right === spinnerTile.right);
-    // 57. Exit if spinner tile not found in board
-    if (spinnerIndex === -1) return;
-
-    // 58. Initialize array to store drawable tile data
-    let drawableTiles = new Array(board.length);
-
-    // 59. Check if spinner tile is a double to determine orientation
-    const isSpinnerDouble = spinnerTile.left === spinnerTile.right;
-    // 60. Set spinner tile dimensions (horizontal for non-doubles, vertical for doubles)
-    const spinnerW = isSpinnerDouble ? short : long;
-    const spinnerH = isSpinnerDouble ? long : short;
-    // 61. Calculate spinner tile X position (centered horizontally)
-    const spinnerX = width / 2 - spinnerW / 2;
-    // 62. Calculate spinner tile Y position
-    const spinnerY = boardCenterY - spinnerH / 2;
-    // 63. Store spinner tile drawable data
-    drawableTiles[spinnerIndex] = { domino: spinnerTile, x: spinnerX, y: spinnerY, w: spinnerW, h: spinnerH, isReversed: false };
-
-
-
-
-
-// --- Right Side of Spinner ---
-// 94. Initialize right side connection point based on spinner orientation
-let connR;
-if (isSpinnerDouble) {
-    // For double (vertical) spinner: connect at right edge, middle height
-    connR = { x: spinnerX + spinnerW, y: spinnerY + spinnerH / 2 };
-} else {
-    // For non-double (horizontal) spinner: connect at right edge, middle height
-    connR = { x: spinnerX + spinnerW, y: spinnerY + spinnerH / 2 };
+function topDoubleText() {
+    return !gameState.tileSet || gameState.tileSet === 'doubleSix' ? 'el doble 6' : 'el doble más alto';
 }
-// 95. Set initial direction vector pointing right
-let dirR = { x: 1, y: 0 };
-// 96. Initialize counters for right side layout logic
-let straightCountR = 0, turnCountR = 0;
-// 97. Set initial turn trigger threshold
-let turnAfterR = 5;
-
-// 98. Loop through dominoes on right side of spinner (forwards)
-for (let i = spinnerIndex + 1; i < board.length; i++) {
-    // 99. Get current domino and check if it's a double
-    const domino = board[i];
-    const isDouble = domino.left === domino.right;
-    // 100. Declare position and dimension variables
-    let x, y, w, h;
-    // 101. Get previous domino to check if it was a double (previous in array for right side)
-    const prevDomino = board[i - 1];
-    const prevWasDouble = prevDomino && prevDomino.left === prevDomino.right;
-
-    // Special handling for doubles on right side - check if we're at a turn position
-    const tileNumberFromSpinner = i - spinnerIndex;
-    const isAtTurnPosition = (turnCountR < 2 && straightCountR >= turnAfterR);
-    const isSpecialDouble = (isAtTurnPosition && isDouble);
-
-    // 102. Check if it's time to make a turn on right side (but not for special double)
-    if (turnCountR < 2 && straightCountR >= turnAfterR && !isSpecialDouble) {
-        // 103. Store old direction before changing
-        const oldDir = { ...dirR };
-        // 104. Calculate new direction (90-degree counter-clockwise turn for symmetry)
-        dirR = { x: -oldDir.y, y: oldDir.x };
-
-        // 105. Set domino dimensions based on new direction
-        w = (dirR.x !== 0) ? long : short;
-        h = (dirR.x !== 0) ? short : long;
-
-        // 106. Check if previous domino was a double for special positioning
-        if (prevWasDouble) {
-            // 107. First turn positioning after double (top right)
-            if (oldDir.x === 1) {
-                x = connR.x - w - gap/2;          // Position to the left of connection point
-                y = connR.y  + w;       // Center vertically with slight downward offset
-            
-            // 108. Second turn positioning after double (bottom right)
-            } else if (oldDir.y === 1) {            // <<<<<<< UNIFIED LOGIC APPLIED
-             
-             x = connR.x - w - (w * 0.5);  // Use tile width + 50% instead of fixed long + short            
-             y = connR.y - h;             
-            }
-
-        // 109. Regular turn positioning (not after double)
-        } else {
-            // 110. First turn positioning (regular)
-            if (oldDir.x === 1) {
-                x = connR.x + gap;
-                y = connR.y - h / 2 + (h * 0.25);  // Use 25% of tile height instead of fixed 25
-
-            // 111. Second turn positioning (regular)
-            } else if (oldDir.y === 1) {            // Second turn positioning (regular)
-               y = connR.y + gap;
-               x = connR.x - w / 2 - (w * 0.25);   // Use 25% of tile width instead of fixed (long / 4)
-            }
-        }
-
-        // 112. Increment turn counter and update settings
-        turnCountR++;
-        turnAfterR = 3;
-        straightCountR = 0;
 
-    // 113. Straight line positioning (no turn) OR special double handling
-    } else {
-        // Handle special double at turn positions
-        if (isSpecialDouble) {
-            // Place double PERPENDICULAR to current direction of travel
-            if (dirR.x !== 0) { // Currently moving horizontally
-                // Place double vertically (perpendicular to horizontal movement)
-                w = short;
-                h = long;
-            } else { // Currently moving vertically
-                // Place double horizontally (perpendicular to vertical movement)
-                w = long;
-                h = short;
-            }
-            
-            // Position based on current direction (before the turn)
-            if (dirR.x === 1) { // Moving right - place double vertically to the right
-                x = connR.x + gap;
-                y = connR.y - h / 2;
-            } else if (dirR.y === 1) { // Moving down - place double horizontally below
-                x = connR.x - w / 2;
-                y = connR.y + gap;
-            } else if (dirR.x === -1) { // Moving left - place double vertically to the left
-                x = connR.x - w - gap;
-                y = connR.y - h / 2;
-            } else if (dirR.y === -1) { // Moving up - place double horizontally above
-                x = connR.x - w / 2;
-                y = connR.y - h - gap;
-            }
-            
-            // NOW simulate the turn AFTER positioning the double
-            const oldDir = { ...dirR };
-            dirR = { x: -oldDir.y, y: oldDir.x };
-            
-            // Increment turn counter and update settings
-            turnCountR++;
-            turnAfterR = 3;
-            straightCountR = 0;
-        } else {
-            // 114. Set domino dimensions based on direction and double status
-            if (dirR.x !== 0) { // Horizontal line
-                w = isDouble ? short : long;
-                h = isDouble ? long : short;
-            } else { // Vertical line (down branch)
-                w = isDouble ? long : short;
-                h = isDouble ? short : long;
-            }
-
-            // 115. Position domino based on current direction
-            if (dirR.x === 1) { x = connR.x + gap; y = connR.y - h / 2; }
-            // 116. Position for down direction
-            else if (dirR.y === 1) { y = connR.y + gap; x = connR.x - w / 2; }
-            // 117. Position for left direction
-            else { x = connR.x - w - gap; y = connR.y - h / 2; }
-        }
-    }
-
-    // 118. Determine if domino should be visually reversed
-    const isReversed = (dirR.x === -1);
-    // 119. Store domino drawable data
-    drawableTiles[i] = { domino, x, y, w, h, isReversed };
-
-    // 120. Update connection point based on domino direction
-    if (isSpecialDouble) {
-        // For special double, connect at bottom edge middle since it's always vertical
-        // But set the connection point based on the NEW direction after the simulated turn
-        if (dirR.x === 1) { // New direction is right
-            connR = { x: x + w, y: y + h / 2 };
-        } else if (dirR.y === 1) { // New direction is down
-            connR = { x: x + w / 2, y: y + h };
-        } else if (dirR.x === -1) { // New direction is left
-            connR = { x: x, y: y + h / 2 };
-        } else if (dirR.y === -1) { // New direction is up
-            connR = { x: x + w / 2, y: y };
-        }
-    } else if (dirR.x === 1) { connR = { x: x + w, y: y + h / 2 }; } 
-    else if (dirR.x === -1) { connR = { x: x, y: y + h / 2 }; } 
-    else if (dirR.y === 1) { connR = { x: x + w / 2, y: y + h }; } // Downward turn
-    else { connR = { x: x + w / 2, y: y }; }
-    
-    // 121. Increment straight counter
-    straightCountR++;
+/**
+ * Says who opens the hand after a tied blocked game under the room's opening rule.
+ */
+function nextOpenerText() {
+    if (gameState.openingRule === 'rotate') return 'La salida pasa al siguiente jugador, como en cada mano';
+    return `El próximo juego lo inicia quien tenga ${topDoubleText()}`;
 }
 
+/**
+ * Spells out how this room counts the hands left at the end of a round.
+ */
+function scoringOptionsText() {
+    const options = gameState.scoringOptions || {};
+    const rounding = options.roundTo ? `redondeadas a ${options.roundTo}` : 'exactas';
+    const counted = options.countEverything ? 'cuentan todas las manos' : (gameState.individualScoring ? 'cuentan las manos de los rivales' : 'cuenta la pareja perdedora');
+    return `Fichas ${rounding}; ${counted}`;
+}
 
+/**
+ * Explains the points of the round just played: the hands that were counted,
+ * each with its pips and what it was worth.
+ */
+function describeRoundScoring() {
+    if (!gameState.roundScoring || gameState.roundScoring.length === 0) return '';
+    const hands = gameState.roundScoring.map(hand => {
+        const player = (gameState.jugadoresInfo || []).find(p => p.name === hand.player);
+        const name = player ? player.displayName : hand.player;
+        return hand.points === hand.pips ? `${name} ${hand.pips}` : `${name} ${hand.pips}→${hand.points}`;
+    });
+    return `Cuenta: ${hands.join(', ')} (${scoringOptionsText()})`;
+}
 
-    // --- Left Side of Spinner ---
-    // 94. Initialize left side connection point based on spinner orientation
-    let connL;
-    if (isSpinnerDouble) {
-        // For double (vertical) spinner: connect at left edge, middle height
-        connL = { x: spinnerX, y: spinnerY + spinnerH / 2 };
-    } else {
-        // For non-double (horizontal) spinner: connect at left edge, middle height
-        connL = { x: spinnerX, y: spinnerY + spinnerH / 2 };
-    }
-    // 95. Set initial direction vector pointing left
-    let dirL = { x: -1, y: 0 };
-    // 96. Initialize counters for left side layout logic
-    let straightCountL = 0, turnCountL = 0;
-    // 97. Set initial turn trigger threshold
-    let turnAfterL = 5;
-
-    // 98. Loop through dominoes on left side of spinner (backwards)
-    for (let i = spinnerIndex - 1; i >= 0; i--) {
-        // 99. Get current domino and check if it's a double
-        const domino = board[i];
-        const isDouble = domino.left === domino.right;
-        // 100. Declare position and dimension variables
-        let x, y, w, h;
-        // 101. Get previous domino to check if it was a double (next in array for left side)
-        const prevDomino = board[i + 1];
-        const prevWasDouble = prevDomino && prevDomino.left === prevDomino.right;
-
-        // Special handling for doubles on left side - check if we're at a turn position
-        const tileNumberFromSpinner = spinnerIndex - i;
-        const isAtTurnPosition = (turnCountL < 2 && straightCountL >= turnAfterL);
-        const isSpecialDouble = (isAtTurnPosition && isDouble);
-
-// 102. Check if it's time to make a turn on left side (but not for special double)
-if (turnCountL < 2 && straightCountL >= turnAfterL && !isSpecialDouble) {
-    // 103. Store old direction before changing
-    const oldDir = { ...dirL };
-    // 104. Calculate new direction (90-degree counter-clockwise turn)
-    dirL = { x: oldDir.y, y: -oldDir.x };
-
-    // 105. Set domino dimensions based on new direction
-    w = (dirL.x !== 0) ? long : short;
-    h = (dirL.x !== 0) ? short : long;
-
-    // 106. Check if previous domino was a double for special positioning
-    if (prevWasDouble) {
-        // 107. First turn positioning after double (top left)
-        if (oldDir.x === -1) {                  // First turn on the top left
-            x = connL.x - w / 2 + (short * 0.53);
-            y = connL.y + short/2 + (short * 0.52);
-   //         y = connL.y + short / 2 + 25.5;
-        // 108. Second turn positioning after double (bottom left)
-        } else if (oldDir.y === 1) {            // Second turn on the bottom left.
-            x = connL.x + h ;
-            y = connL.y - w/2 ;  // Position above the connection point going up
-        }
-    
-    // 109. Regular turn positioning (not after double)
-    } else {
-        // 110. First turn positioning (regular)
-        if (oldDir.x === -1) {
-            x = connL.x - w - gap;
-            y = connL.y - h / 2 + (short * 0.5);
-
-        // 111. Second turn positioning (regular)
-        } else if (oldDir.y === 1) {
-            y = connL.y + gap;
-            x = connL.x - short / 2;
-        }
-    }
-
-    // 112. Increment turn counter and update settings
-    turnCountL++;
-    turnAfterL = 3;
-    straightCountL = 0;
-
-    // 113. Straight line positioning (no turn) OR special double handling
-    } else {
-        // Handle special double at turn positions
-        if (isSpecialDouble) {
-            // Place double PERPENDICULAR to current direction of travel
-            if (dirL.x !== 0) { // Currently moving horizontally
-                // Place double vertically (perpendicular to horizontal movement)
-                w = short;
-                h = long;
-            } else { // Currently moving vertically
-                // Place double horizontally (perpendicular to vertical movement)
-                w = long;
-                h = short;
-            }
-            
-            // Position based on current direction (before the turn)
-            if (dirL.x === -1) { // Moving left - place double vertically to the left
-                x = connL.x - w - gap;
-                y = connL.y - h / 2;
-            } else if (dirL.y === 1) { // Moving down - place double horizontally below
-                x = connL.x - w / 2;
-                y = connL.y + gap;
-            } else if (dirL.x === 1) { // Moving right - place double vertically to the right
-                x = connL.x + gap;
-                y = connL.y - h / 2;
-            } else if (dirL.y === -1) { // Moving up - place double horizontally above
-                x = connL.x - w / 2;
-                y = connL.y - h - gap;
-            }
-            
-            // NOW simulate the turn AFTER positioning the double
-            const oldDir = { ...dirL };
-            dirL = { x: oldDir.y, y: -oldDir.x };
-            
-            // Increment turn counter and update settings
-            turnCountL++;
-            turnAfterL = 3;
-            straightCountL = 0;
-        } else {
-            // 114. Set domino dimensions based on direction and double status
-            if (dirL.x !== 0) { // Horizontal line
-                w = isDouble ? short : long;
-                h = isDouble ? long : short;
-            } else { // Vertical line (down branch)
-                w = isDouble ? long : short;
-                h = isDouble ? short : long;
-            }
-
-            // 115. Position domino based on current direction
-            if (dirL.x === -1) { x = connL.x - w - gap; y = connL.y - h / 2; }
-            // 116. Position for down direction
-            else if (dirL.y === 1) { y = connL.y + gap; x = connL.x - w / 2; }
-            // 117. Position for right direction
-            else { x = connL.x + gap; y = connL.y - h / 2; }
-        }
-    }
-
-    // 118. Determine if domino should be visually reversed (opposite of right side)
-    const isReversed = !(dirL.x === -1 || dirL.y === -1);
-    // 119. Store domino drawable data
-    drawableTiles[i] = { domino, x, y, w, h, isReversed };
-
-        // 120. Update connection point based on domino direction
-        if (isSpecialDouble) {
-            // For special double, set the connection point based on the NEW direction after the simulated turn
-            if (dirL.x === -1) { // New direction is left
-                connL = { x: x, y: y + h / 2 };
-            } else if (dirL.y === 1) { // New direction is down
-                connL = { x: x + w / 2, y: y + h };
-            } else if (dirL.x === 1) { // New direction is right
-                connL = { x: x + w, y: y + h / 2 };
-            } else if (dirL.y === -1) { // New direction is up
-                connL = { x: x + w / 2, y: y };
-            }
-        } else if (dirL.x === 1) { connL = { x: x + w, y: y + h / 2 }; } // Rightward direction - connect at right edge
-        else if (dirL.x === -1) { connL = { x: x, y: y + h / 2 }; }
-        else if (dirL.y === 1) { connL = { x: x + w / 2, y: y + h }; }
-        else if (dirL.y === -1) { connL = { x: x + w / 2, y: y }; } // Upward direction - connect at top
-        else { connL = { x: x + w / 2, y: y }; }
-        
-        // 121. Increment straight counter
-        straightCountL++;
-    }
+/**
+ * Spells out how this room settles a blocked game (tranque), for the rules modal.
+ */
+function blockedGameRuleText() {
+    const alone = !!gameState.individualScoring;
+    const winners = alone
+        ? { lowestTeam: 'gana el jugador con menos puntos', lowestPlayer: 'gana el jugador con menos puntos', closer: 'gana el jugador que tranca' }
+        : { lowestTeam: 'gana el equipo con menos puntos', lowestPlayer: 'gana el equipo del jugador con la mano más baja', closer: 'gana el equipo de quien tranca' };
+    const who = winners[gameState.tranqueWinner] || winners.lowestTeam;
+    const points = gameState.blockedGameScoring === 'allHands' || (gameState.scoringOptions || {}).countEverything
+        ? 'y se lleva los puntos de todas las manos, incluida la suya'
+        : 'y se lleva los puntos de los rivales';
+    const tie = gameState.blockedGameTie === 'closer'
+        ? `Si hay empate, gana ${alone ? 'quien tranca' : 'el equipo de quien tranca'}.`
+        : `Si hay empate, nadie gana. ${nextOpenerText()}.`;
+    return `Si el juego se cierra (tranque), ${who} ${points}. ${tie}`;
+}
 
-    // --- Draw all tiles ---
-    // 122. Loop through all drawable tiles to render them
-    drawableTiles.forEach(t => {
-        if (t) {
-            // 123. Initialize highlight state
-            let isHighlighted = false;
-            // 124. Check if this tile should be highlighted (recently played)
-            if (lastPlayedHighlight.tile && 
-                millis() - lastPlayedHighlight.timestamp < 3000 &&
-                t.domino.left === lastPlayedHighlight.tile.left && 
-                t.domino.right === lastPlayedHighlight.tile.right) {
-                isHighlighted = true;
-            }
-            // 125. Draw the domino with all calculated properties
-            drawSingleDomino(t.domino, t.x, t.y, t.w, t.h, false, t.isReversed, isHighlighted);
-        }
-    });
+/**
+ * Keeps the blocked-game rule in the rules modal in step with the room's settings.
+ */
+function updateRulesModal() {
+    const ruleItem = document.getElementById('blocked-game-rule');
+    if (!ruleItem) return;
+    const text = blockedGameRuleText();
+    if (ruleItem.textContent !== text) ruleItem.textContent = text;
 }
 
+/**
+ * Boneyard games: how many tiles are left to draw, as every seat in jugadoresInfo reports it.
+ */
+function boneyardCount() {
+    const seat = (gameState.jugadoresInfo || [])[0];
+    return seat && seat.boneyardCount ? seat.boneyardCount : 0;
+}
 
+/**
+ * Boneyard games: whether we have to draw (nothing fits and tiles are left).
+ */
+function clientMustDraw() {
+    return !!gameState.drawFromBoneyard && boneyardCount() > 0 && !gameState.isFirstMove && !clientHasValidMove();
+}
 
 function clientHasValidMove() {
     if (!myPlayerHand || myPlayerHand.length === 0) return false;
     if (gameState.isFirstMove) {
-        if (gameState.isFirstRoundOfMatch) {
-            // First round of match: must play double 6
-            return myPlayerHand.some(t => t.left === 6 && t.right === 6);
+        if (gameState.isFirstRoundOfMatch && gameState.openingDouble >= 0) {
+            // First round of match: must play the highest double dealt, or any double if the room allows it
+            if (gameState.openingRule === 'anyDouble') return myPlayerHand.some(t => t.left === t.right);
+            return myPlayerHand.some(t => t.left === gameState.openingDouble && t.right === gameState.openingDouble);
         } else if (gameState.isAfterTiedBlockedGame) {
-            // After a tied blocked game: player with double 6 can play any tile
+            // After a tied blocked game: player with the opening double can play any tile
             return myPlayerHand.length > 0;
         } else {
             // Regular first move of a new round
             return true;
         }
     }
-    return myPlayerHand.some(t => t.left === gameState.leftEnd || t.right === gameState.leftEnd || t.left === gameState.rightEnd || t.right === gameState.rightEnd);
+    const ends = [gameState.leftEnd, gameState.rightEnd, gameState.upEnd, gameState.downEnd].filter(end => end !== null && end !== undefined);
+    return myPlayerHand.some(t => ends.some(end => t.left === end || t.right === end));
 }
 
 
@@ -2664,7 +2984,10 @@ function playVoiceMessage(data) {
         const messagesDiv = document.getElementById('chat-messages');
         const messageElement = document.createElement('p');
         const senderName = data.sender || 'Unknown';
-        messageElement.innerHTML = `<b>${senderName}:</b> 🎤 Voice Message`;
+        const senderElement = document.createElement('b');
+        senderElement.textContent = `${senderName}:`;
+        messageElement.appendChild(senderElement);
+        messageElement.appendChild(document.createTextNode(' 🎤 Voice Message'));
         messageElement.style.fontStyle = 'italic';
         messageElement.style.color = '#666';
         messagesDiv.appendChild(messageElement);
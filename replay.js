@@ -0,0 +1,201 @@
+// =============================================================================
+// == replay.js          Domino4 - Replay viewer                               ==
+// =============================================================================
+// Steps forward and back through a recorded round with all four hands visible.
+// Every frame is rebuilt from the recorded deal and moves, and the board itself
+// is drawn by drawBoard() from board.js, exactly as in the game.
+// =============================================================================
+
+let replay = null; // The replay as returned by /replay-data/:id
+let frames = []; // One { board, spinnerTile, spinnerArms, hands, move } snapshot per step
+let currentFrame = 0; // Index of the frame on screen
+let gameState = {}; // Read by drawBoard(): the board of the current frame
+let lastPlayedHighlight = { tile: null, timestamp: 0 }; // Read by drawBoard(): glow on the last tile
+
+
+// =============================================================================
+// == REPLAY DATA                                                             ==
+// =============================================================================
+
+/**
+ * Checks whether two tiles are the same domino in either orientation.
+ */
+function isSameTile(a, b) {
+    return (a.left === b.left && a.right === b.right) || (a.left === b.right && a.right === b.left);
+}
+
+/**
+ * Rebuilds the board and the hands after every recorded move.
+ */
+function buildFrames(data) {
+    const hands = JSON.parse(JSON.stringify(data.hands));
+    let board = [];
+    let spinnerTile = null;
+    let spinnerArms = { up: [], down: [] };
+    const result = [{ board: [], spinnerTile: null, spinnerArms, hands: JSON.parse(JSON.stringify(hands)), move: null }];
+
+    data.moves.forEach(move => {
+        if (move.type === 'draw') {
+            (hands[move.player] = hands[move.player] || []).push(move.tile);
+        } else if (move.type === 'play') {
+            const hand = hands[move.player] || [];
+            const tileIndex = hand.findIndex(t => isSameTile(t, move.tile));
+            if (tileIndex !== -1) hand.splice(tileIndex, 1);
+
+            if (board.length === 0) {
+                board = [move.tile];
+                spinnerTile = move.tile;
+            } else if (move.position === 'left') {
+                board = [move.tile, ...board];
+            } else if (move.position === 'up' || move.position === 'down') {
+                spinnerArms = { ...spinnerArms, [move.position]: [...spinnerArms[move.position], move.tile] };
+            } else {
+                board = [...board, move.tile];
+            }
+        }
+        result.push({ board: [...board], spinnerTile, spinnerArms, hands: JSON.parse(JSON.stringify(hands)), move });
+    });
+    return result;
+}
+
+/**
+ * Returns the display name recorded for an internal player name.
+ */
+function replayDisplayName(playerName) {
+    const player = replay && replay.players.find(p => p.name === playerName);
+    return player ? player.displayName : playerName;
+}
+
+/**
+ * Loads the replay named in the URL (/replay/:id).
+ */
+function loadReplay() {
+    const replayId = window.location.pathname.split('/').filter(Boolean).pop();
+    fetch(`/replay-data/${encodeURIComponent(replayId)}`)
+        .then(res => res.json())
+        .then(data => {
+            const header = document.getElementById('replay-header');
+            if (!data.success) {
+                header.textContent = `Repetición "${replayId}" no encontrada`;
+                return;
+            }
+            replay = data.replay;
+            frames = buildFrames(replay);
+            const date = new Date(replay.endedAt || replay.startedAt).toLocaleString('es-ES');
+            // The room ID is whatever its creator typed: text only, never markup
+            header.textContent = '';
+            const roomName = document.createElement('b');
+            roomName.textContent = replay.roomId;
+            const allReplaysLink = document.createElement('a');
+            allReplaysLink.href = '/replays';
+            allReplaysLink.textContent = 'Todas las repeticiones';
+            header.append(roomName, ` - Match ${replay.matchNumber} - ${date}`, document.createElement('br'), `Semilla: ${replay.seed} | `, allReplaysLink);
+            showFrame(0);
+        })
+        .catch(error => {
+            console.error('❌ Error loading replay:', error);
+            document.getElementById('replay-header').textContent = 'Error cargando la repetición';
+        });
+}
+
+
+// =============================================================================
+// == NAVIGATION                                                              ==
+// =============================================================================
+
+/**
+ * Moves to a frame and updates the step counter and move description.
+ */
+function showFrame(index) {
+    if (frames.length === 0) return;
+    currentFrame = Math.max(0, Math.min(frames.length - 1, index));
+    const frame = frames[currentFrame];
+    gameState = { board: frame.board, spinnerTile: frame.spinnerTile, spinnerArms: frame.spinnerArms };
+
+    if (frame.move && frame.move.type === 'play') {
+        lastPlayedHighlight = { tile: frame.move.tile, timestamp: millis() };
+    } else {
+        lastPlayedHighlight = { tile: null, timestamp: 0 };
+    }
+
+    document.getElementById('replay-step').textContent = `${currentFrame}/${frames.length - 1}`;
+
+    let description = `Reparto - sale ${replayDisplayName(replay.startingPlayer)}`;
+    if (frame.move && frame.move.type === 'play') {
+        const side = { left: 'izquierda', right: 'derecha', up: 'arriba', down: 'abajo' }[frame.move.position] || 'derecha';
+        description = `${replayDisplayName(frame.move.player)} jugó ${frame.move.tile.left}|${frame.move.tile.right}` + (frame.board.length > 1 ? ` (${side})` : '');
+    } else if (frame.move && frame.move.type === 'draw') {
+        description = `${replayDisplayName(frame.move.player)} robó del pozo`;
+    } else if (frame.move && frame.move.type === 'pass') {
+        description = `${replayDisplayName(frame.move.player)} pasó`;
+    }
+    if (currentFrame === frames.length - 1 && replay.result) {
+        description += `\n${replay.result.message}`;
+    }
+    document.getElementById('replay-move').innerText = description;
+}
+
+function setupReplayControls() {
+    document.getElementById('replay-first').addEventListener('click', () => showFrame(0));
+    document.getElementById('replay-prev').addEventListener('click', () => showFrame(currentFrame - 1));
+    document.getElementById('replay-next').addEventListener('click', () => showFrame(currentFrame + 1));
+    document.getElementById('replay-last').addEventListener('click', () => showFrame(frames.length - 1));
+}
+
+
+// =============================================================================
+// == P5.JS CORE FUNCTIONS (SETUP, DRAW)                                      ==
+// =============================================================================
+
+function setup() {
+    const canvas = createCanvas(windowWidth, windowHeight);
+    canvas.parent('canvas-container');
+    setupReplayControls();
+    loadReplay();
+}
+
+function windowResized() {
+    resizeCanvas(windowWidth, windowHeight);
+}
+
+function keyPressed() {
+    if (keyCode === RIGHT_ARROW) showFrame(currentFrame + 1);
+    else if (keyCode === LEFT_ARROW) showFrame(currentFrame - 1);
+}
+
+function draw() {
+    background(0, 100, 0);
+    if (!replay || frames.length === 0) return;
+    if (gameState.board && gameState.board.length > 0) {
+        drawBoard();
+    }
+    drawReplayHands();
+}
+
+/**
+ * Draws every player's hand, in seating order, along the bottom of the canvas.
+ */
+function drawReplayHands() {
+    const frame = frames[currentFrame];
+    const tileW = 22, tileH = 44, gap = 4, rowH = tileH + 14;
+    const startY = height - replay.seating.length * rowH - 10;
+
+    replay.seating.forEach((playerName, i) => {
+        const y = startY + i * rowH;
+        // Boneyard games have no teams
+        const hasTeams = replay.teams.teamA.length > 0;
+        const teamLabel = replay.teams.teamA.includes(playerName) ? 'A' : 'B';
+        const isMover = frame.move && frame.move.player === playerName;
+
+        noStroke();
+        fill(isMover ? color(255, 215, 0) : 255);
+        textSize(14);
+        textAlign(RIGHT, CENTER);
+        text(hasTeams ? `${replayDisplayName(playerName)} (Equipo ${teamLabel})` : replayDisplayName(playerName), width / 2 - 20, y + tileH / 2);
+
+        const hand = frame.hands[playerName] || [];
+        hand.forEach((tile, j) => {
+            drawSingleDomino(tile, width / 2 + j * (tileW + gap), y, tileW, tileH, false, false);
+        });
+    });
+}
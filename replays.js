@@ -0,0 +1,89 @@
+// replays.js - Round-by-round replay recording for Domino4
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const REPLAY_ID_PATTERN = /^[a-f0-9]{10}$/;
+// Replays show every hand: never under __dirname, which the server serves as static files
+const DATA_DIR = process.env.DOMINO_DATA_DIR || path.join(os.homedir(), '.domino4');
+
+class ReplayRecorder {
+    constructor() {
+        this.replayDir = path.join(DATA_DIR, 'replays');
+    }
+
+    // Start a recording from the deal of a new round
+    createRecording(roomId, players, round, isPrivate = false) {
+        return {
+            id: crypto.randomBytes(5).toString('hex'),
+            roomId,
+            isPrivate, // Replays of private rooms are kept but never listed or served
+            matchNumber: round.matchNumber,
+            seed: round.seed,
+            startedAt: new Date().toISOString(),
+            endedAt: null,
+            players: players.map(p => ({ name: p.name, displayName: p.displayName })),
+            teams: round.teams,
+            seating: round.seating,
+            hands: round.hands,
+            startingPlayer: round.startingPlayer,
+            moves: [],
+            result: null
+        };
+    }
+
+    // Append a play or a pass to a recording
+    recordMove(recording, move) {
+        recording.moves.push({ ...move, timestamp: Date.now() });
+    }
+
+    // Close a recording with the round result and save it under its replay ID
+    async saveRecording(recording, result) {
+        recording.endedAt = new Date().toISOString();
+        recording.result = result;
+        await fs.mkdir(this.replayDir, { recursive: true });
+        await fs.writeFile(path.join(this.replayDir, `${recording.id}.json`), JSON.stringify(recording));
+        return recording.id;
+    }
+
+    // Load a saved replay, or null if the ID is unknown
+    async getReplay(id) {
+        if (!REPLAY_ID_PATTERN.test(id)) return null;
+        try {
+            const data = await fs.readFile(path.join(this.replayDir, `${id}.json`), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('Error reading replay:', error);
+            return null;
+        }
+    }
+
+    // List the most recent replays (summary only)
+    async listReplays(limit = 50) {
+        let files;
+        try {
+            files = await fs.readdir(this.replayDir);
+        } catch (error) {
+            return [];
+        }
+
+        const summaries = [];
+        for (const file of files.filter(f => f.endsWith('.json'))) {
+            const replay = await this.getReplay(path.basename(file, '.json'));
+            if (!replay || replay.isPrivate) continue;
+            summaries.push({
+                id: replay.id,
+                roomId: replay.roomId,
+                matchNumber: replay.matchNumber,
+                endedAt: replay.endedAt,
+                players: replay.players.map(p => p.displayName),
+                result: replay.result ? replay.result.message : null
+            });
+        }
+        summaries.sort((a, b) => new Date(b.endedAt) - new Date(a.endedAt));
+        return summaries.slice(0, limit);
+    }
+}
+
+module.exports = new ReplayRecorder();
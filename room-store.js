@@ -0,0 +1,73 @@
+// room-store.js - Snapshots game rooms to disk so they survive server restarts
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SAVE_DELAY_MS = 2000; // At most one snapshot write every 2 seconds
+const MAX_SNAPSHOT_AGE_MS = 12 * 60 * 60 * 1000; // Ignore snapshots older than 12 hours
+// Snapshots hold every hand in play: never under __dirname, which the server serves
+const DATA_DIR = process.env.DOMINO_DATA_DIR || path.join(os.homedir(), '.domino4');
+
+// JSON has no Set type: store them as { __set: [...] } and revive them on load
+function replacer(key, value) {
+    return value instanceof Set ? { __set: Array.from(value) } : value;
+}
+
+function reviver(key, value) {
+    return value && typeof value === 'object' && Array.isArray(value.__set) ? new Set(value.__set) : value;
+}
+
+class RoomStore {
+    constructor() {
+        this.snapshotFile = path.join(DATA_DIR, 'rooms.json');
+        this.saveTimer = null;
+        this.getRooms = null;
+    }
+
+    // Ask for a snapshot; writes are throttled and always use the latest rooms
+    scheduleSave(getRooms) {
+        this.getRooms = getRooms;
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.saveNow();
+        }, SAVE_DELAY_MS);
+    }
+
+    // Write the snapshot immediately (used by the throttle and on shutdown)
+    saveNow() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+        if (!this.getRooms) return;
+
+        try {
+            const snapshot = { savedAt: Date.now(), rooms: this.getRooms() };
+            const tempFile = `${this.snapshotFile}.tmp`;
+            fs.mkdirSync(path.dirname(this.snapshotFile), { recursive: true });
+            fs.writeFileSync(tempFile, JSON.stringify(snapshot, replacer));
+            fs.renameSync(tempFile, this.snapshotFile); // Atomic swap: a crash never leaves half a file
+        } catch (error) {
+            console.error('Room snapshot error:', error);
+        }
+    }
+
+    // Read the rooms saved by the previous run, or [] if there is nothing recent
+    loadRooms() {
+        try {
+            if (!fs.existsSync(this.snapshotFile)) return [];
+            const snapshot = JSON.parse(fs.readFileSync(this.snapshotFile, 'utf8'), reviver);
+            if (!snapshot.savedAt || Date.now() - snapshot.savedAt > MAX_SNAPSHOT_AGE_MS) {
+                console.log('💾 Room snapshot is too old, starting with no rooms');
+                return [];
+            }
+            return Array.isArray(snapshot.rooms) ? snapshot.rooms : [];
+        } catch (error) {
+            console.error('Error loading room snapshot:', error);
+            return [];
+        }
+    }
+}
+
+module.exports = new RoomStore();
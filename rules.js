@@ -0,0 +1,1147 @@
+// =============================================================================
+// == rules.js           Domino4  -  Rules engine                             ==
+// =============================================================================
+// Pure domino rules. Nothing in this file touches sockets, timers or the
+// filesystem: every transition takes a game state plus a rule context and
+// returns a NEW state together with the list of events it produced. The server
+// turns those events into socket emits and analytics calls; bots, replays and
+// simulations can drive the exact same logic without a server.
+//
+// Rule context:  { players: [{ name, displayName, isConnected }], targetScore,
+//                  dealSeed, fixedSeed, partnershipPolicy, matchTeams,
+//                  scoringMode, fourWaySpinner, tileSet, individualScoring,
+//                  playerTargetScore } - dealSeed feeds the PRNG of the next
+//                  deal; a room's practice fixedSeed replaces it with a seed
+//                  drawn from the fixed one and the match and round numbers;
+//                  partnershipPolicy is 'rotate', 'fixed' or 'random', unless
+//                  matchTeams gives the pairs of a new match; scoringMode is
+//                  'classic' or 'allFives' (which always plays the spinner
+//                  four ways; fourWaySpinner does it for 'classic'); tileSet
+//                  is a key of TILE_SETS
+//                  The table has as many seats as `players`: with 2 or 3 the
+//                  round is a boneyard game scored by each player alone, and
+//                  individualScoring has four players score alone too. Alone,
+//                  a player plays to playerTargetScore instead of targetScore
+//                  capicuaBonus and paseCorridoBonus are bonus points (0 turns
+//                  the bonus off); tranqueWinner is a key of TRANQUE_WINNERS;
+//                  blockedGameScoring is 'losers' (the other side's pips) or
+//                  'allHands'; blockedGameTie is 'none' or 'closer';
+//                  scoringOptions is { roundTo, countEverything } (see
+//                  DEFAULT_SCORING_OPTIONS); openingRule is one of OPENING_RULES
+// Actions:       { type: 'play', player, tile, position }
+//                { type: 'draw', player }
+//                { type: 'pass', player }
+//                { type: 'ready', player }
+//                { type: 'endMatch' }
+// Events:        { type, to?, ...payload } - `to` is the internal player name
+//                ("Jugador 1") for private events, absent for room broadcasts.
+// =============================================================================
+
+const PLAYER_NAMES = ["Jugador 1", "Jugador 2", "Jugador 3", "Jugador 4"];
+const TEAM_DRAW_SALT = 0x7ea3d5; // Mixed into the deal seed to draw random partners
+
+// Tile sets a room can play with: the highest number on a tile and how many
+// tiles each player is dealt. Tiles nobody is dealt stay in the boneyard.
+const TILE_SETS = {
+    doubleSix: { maxPips: 6, handSize: 7 },
+    doubleNine: { maxPips: 9, handSize: 10 },
+    doubleTwelve: { maxPips: 12, handSize: 12 }
+};
+const DEFAULT_TILE_SET = 'doubleSix';
+
+// Who takes a blocked game (tranque), with how the round message says it
+const TRANQUE_WINNERS = {
+    lowestTeam: 'con menos puntos', // The side with the fewest pips left
+    lowestPlayer: 'con la mano más baja', // The side of the single lowest hand
+    closer: 'por trancar el juego' // The side of whoever laid the tile that blocked it
+};
+const DEFAULT_TRANQUE_WINNER = 'lowestTeam';
+
+// How the hands left at the end of a round are counted: each hand rounded to
+// the nearest `roundTo` pips (0 = exact), and whether every hand on the table
+// counts (the winner's partner too) or only the losing side's
+const DEFAULT_SCORING_OPTIONS = { roundTo: 0, countEverything: false };
+
+// Who opens each hand after the first of a match: the 'winner' of the last
+// hand, the next seat counter-clockwise ('rotate'), or the winner with any
+// double allowed where the top one would be required ('anyDouble')
+const OPENING_RULES = ['winner', 'rotate', 'anyDouble'];
+const DEFAULT_OPENING_RULE = 'winner';
+
+// Latin house bonuses, by the names the round message gives them
+const BONUS_NAMES = { capicua: 'Capicúa', paseCorrido: 'Pase corrido' };
+
+/**
+ * (ROUTINE) Creates or resets the main game state object to its default values.
+ */
+function createGameState() {
+    const initialStats = {
+        "Jugador 1": { matchesWon: 0 },
+        "Jugador 2": { matchesWon: 0 },
+        "Jugador 3": { matchesWon: 0 },
+        "Jugador 4": { matchesWon: 0 }
+    };
+
+    return {
+        jugadoresInfo: [],
+        board: [],
+        currentTurn: null,
+        gameInitialized: false,
+        leftEnd: null,
+        rightEnd: null,
+        upEnd: null, // Open ends of the spinner's vertical arms (null until they open)
+        downEnd: null,
+        spinnerArms: { up: [], down: [] }, // Tiles off the spinner's top and bottom, spinner first, each as { left: inner, right: open }
+        fourWaySpinner: false, // Whether a double spinner opens up and down once both its sides are covered
+        tileSet: DEFAULT_TILE_SET, // Key of TILE_SETS the round is played with
+        boneyard: [], // Tiles left over after the deal (never sent to the clients)
+        drawFromBoneyard: false, // 2- and 3-player games: a player with no move draws from the boneyard
+        individualScoring: false, // Every player scores for themselves instead of teamA/teamB
+        playerScores: {}, // Player name -> points this match, when scoring individually
+        openingDouble: 6, // Pips of the double that opens a match: the highest one dealt this round
+        openingRule: DEFAULT_OPENING_RULE, // One of OPENING_RULES
+        roundOpener: null, // Who opened the round in play, so a rotating opener knows where it is
+        teamScores: { teamA: 0, teamB: 0 },
+        isFirstMove: true,
+        teams: { teamA: [], teamB: [] },
+        hands: {},
+        spinnerTile: null,
+        lastWinner: null,
+        isFirstRoundOfMatch: true,
+        readyPlayers: new Set(),
+        endRoundMessage: null,
+        matchNumber: 1,
+        playerStats: initialStats,
+        lastPlayedTile: null,
+        matchOver: false, // Explicitly track match-over state
+        endMatchMessage: null,
+        seating: [], // Added to manage dynamic turn order
+        isAfterTiedBlockedGame: false, // Flag for tied blocked game rule
+        isTiedBlockedGame: false, // Flag for display messages
+        gameBlocked: false, // Flag to indicate blocked game state
+        roundSeed: null, // Seed the current round was dealt from (hidden until the round ends)
+        roundNumber: 0, // Rounds dealt so far in this match
+        roundMoves: [], // Public log of the round: plays, and passes with the ends that were open
+        roundBonuses: [], // Capicúa and pase corrido bonuses scored this round: { bonus, player, points }
+        roundScoring: null, // Hands the last round was scored from: [{ player, pips, points }] (null if nobody scored)
+        scoringMode: 'classic' // 'classic' (pips at the end of the round) or 'allFives' (also every multiple of 5 on the ends)
+    };
+}
+
+/**
+ * (ROUTINE) Deep-copies a game state so transitions never mutate their input.
+ */
+function cloneState(state) {
+    return structuredClone(state);
+}
+
+
+// =============================================================================
+// == CORE GAME UTILITY FUNCTIONS                                             ==
+// =============================================================================
+
+/**
+ * (ROUTINE) Generates a full set of dominoes up to the given double: 28 tiles
+ * for double-six, 55 for double-nine, 91 for double-twelve.
+ */
+function generateDominoes(maxPips = 6) {
+    const d = [];
+    for (let i = 0; i <= maxPips; i++) { for (let j = i; j <= maxPips; j++) d.push({ left: i, right: j }); }
+    return d;
+}
+
+/**
+ * (ROUTINE) Returns the tile set for a key, falling back to double-six.
+ */
+function tileSetOf(key) {
+    return TILE_SETS[Object.prototype.hasOwnProperty.call(TILE_SETS, key) ? key : DEFAULT_TILE_SET];
+}
+
+/**
+ * (ROUTINE) Creates a seeded pseudo-random generator (mulberry32) returning floats in [0, 1).
+ */
+function createRng(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * (ROUTINE) Turns a user-supplied seed (number or text) into an unsigned 32-bit integer.
+ * Returns null when no seed was given.
+ */
+function normalizeSeed(value) {
+    if (value === null || value === undefined) return null;
+    const text = String(value).trim();
+    if (!text) return null;
+    if (/^\d+$/.test(text)) return Number(text) >>> 0;
+    // Text seeds are hashed with FNV-1a so "viernes" always deals the same way
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * (ROUTINE) Derives the seed of one round from a room's fixed practice seed, so
+ * every round gets its own deal and the whole match still deals the same again.
+ */
+function seedForRound(fixedSeed, matchNumber, roundNumber) {
+    return normalizeSeed(`${fixedSeed}:${matchNumber}:${roundNumber}`);
+}
+
+/**
+ * (ROUTINE) Shuffles an array in place using the given random source.
+ */
+function shuffleArray(array, random = Math.random) {
+    for (let i = array.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [array[i], array[j]] = [array[j], array[i]];
+    }
+}
+
+/**
+ * (ROUTINE) Calculates the total pip value of a player's hand.
+ */
+function calculateHandValue(hand) {
+    if (!hand || hand.length === 0) return 0;
+    return hand.reduce((sum, tile) => sum + tile.left + tile.right, 0);
+}
+
+/**
+ * (ROUTINE) Returns the internal names of the connected players in the context.
+ */
+function connectedPlayerNames(ctx) {
+    return ctx.players.filter(p => p.isConnected).map(p => p.name);
+}
+
+/**
+ * (ROUTINE) Looks up the display name of a player from the rule context.
+ */
+function displayNameOf(ctx, playerName) {
+    const player = ctx.players.find(p => p.name === playerName);
+    return (player && player.displayName) || playerName;
+}
+
+/**
+ * (ROUTINE) Finds the player who has the double with the given pips.
+ */
+function findDoubleHolder(state, ctx, pips) {
+    for (let playerName of connectedPlayerNames(ctx)) {
+        const hand = state.hands[playerName];
+        if (hand && hand.some(tile => tile.left === pips && tile.right === pips)) {
+            return playerName;
+        }
+    }
+    return null;
+}
+
+/**
+ * (ROUTINE) Returns the pips of the highest double in the connected players'
+ * hands. With the bigger sets the top double may be in the boneyard.
+ */
+function highestDealtDouble(state, ctx) {
+    let highest = -1;
+    connectedPlayerNames(ctx).forEach(playerName => {
+        (state.hands[playerName] || []).forEach(tile => {
+            if (tile.left === tile.right && tile.left > highest) highest = tile.left;
+        });
+    });
+    return highest;
+}
+
+/**
+ * (ROUTINE) Checks whether the first tile of the round must be the opening
+ * double. If no double was dealt at all, the match opens with any tile.
+ */
+function mustOpenWithDouble(state) {
+    return state.isFirstRoundOfMatch && state.openingDouble >= 0;
+}
+
+/**
+ * (ROUTINE) Checks whether a tile may be the first one of the round: the
+ * opening double when one is required, or any double under 'anyDouble'.
+ */
+function canOpenWith(state, tile) {
+    if (!mustOpenWithDouble(state)) return true;
+    if (state.openingRule === 'anyDouble') return tile.left === tile.right;
+    return tile.left === state.openingDouble && tile.right === state.openingDouble;
+}
+
+/**
+ * (ROUTINE) Lists the ends a tile can go on as { position, value }: left and
+ * right, plus up and down once a four-way spinner has opened.
+ */
+function openEnds(state) {
+    if (state.isFirstMove) return [];
+    const ends = [{ position: 'left', value: state.leftEnd }, { position: 'right', value: state.rightEnd }];
+    if (state.upEnd !== null && state.upEnd !== undefined) ends.push({ position: 'up', value: state.upEnd });
+    if (state.downEnd !== null && state.downEnd !== undefined) ends.push({ position: 'down', value: state.downEnd });
+    return ends;
+}
+
+/**
+ * (ROUTINE) Checks if a player has any valid moves in their hand.
+ */
+function hasValidMove(state, playerName) {
+    const hand = state.hands[playerName];
+    if (!hand) return false;
+    if (state.isFirstMove) {
+        if (mustOpenWithDouble(state)) {
+            // First round of match: must have the opening double (or any double)
+            return hand.some(t => canOpenWith(state, t));
+        } else if (state.isAfterTiedBlockedGame) {
+            // After tied blocked game: player with the opening double can play any tile
+            return hand.length > 0;
+        } else {
+            // Regular first move: any tile is valid
+            return true;
+        }
+    }
+    const ends = openEnds(state);
+    return hand.some(t => ends.some(end => t.left === end.value || t.right === end.value));
+}
+
+/**
+ * (ROUTINE) Lists every legal { tile, position } for a player, mirroring playTile.
+ */
+function listValidMoves(state, playerName) {
+    const hand = state.hands[playerName];
+    if (!hand) return [];
+    if (state.isFirstMove) {
+        const openers = hand.filter(t => canOpenWith(state, t));
+        return openers.map(tile => ({ tile, position: 'right' }));
+    }
+    const ends = openEnds(state);
+    const moves = [];
+    hand.forEach(tile => {
+        ends.forEach(end => {
+            if (tile.left === end.value || tile.right === end.value) moves.push({ tile, position: end.position });
+        });
+    });
+    return moves;
+}
+
+/**
+ * (ROUTINE) Checks whether a player must draw: boneyard games only, when they
+ * have no move and there are tiles left to draw.
+ */
+function canDraw(state, playerName) {
+    return state.drawFromBoneyard && state.boneyard.length > 0 && !state.isFirstMove && !hasValidMove(state, playerName);
+}
+
+/**
+ * (ROUTINE) Returns the partnerships of a match. With 'rotate' everyone partners
+ * everyone over three matches; with 'fixed' the seats chosen before the first
+ * round (1 and 2 against 3 and 4) stay together all night; with 'random' the
+ * pairs are drawn for each match.
+ */
+function teamsForMatch(matchNumber, partnershipPolicy = 'rotate', random = Math.random) {
+    let rotation = (matchNumber - 1) % 3;
+    if (partnershipPolicy === 'fixed') rotation = 0;
+    if (partnershipPolicy === 'random') rotation = Math.floor(random() * 3);
+    if (rotation === 0) { // Match 1: (1,2) vs (3,4)
+        return { teamA: [PLAYER_NAMES[0], PLAYER_NAMES[1]], teamB: [PLAYER_NAMES[2], PLAYER_NAMES[3]] };
+    } else if (rotation === 1) { // Match 2: (1,3) vs (2,4)
+        return { teamA: [PLAYER_NAMES[0], PLAYER_NAMES[2]], teamB: [PLAYER_NAMES[1], PLAYER_NAMES[3]] };
+    }
+    // Match 3: (1,4) vs (2,3)
+    return { teamA: [PLAYER_NAMES[0], PLAYER_NAMES[3]], teamB: [PLAYER_NAMES[1], PLAYER_NAMES[2]] };
+}
+
+/**
+ * (ROUTINE) Advances the turn to the next player based on dynamic seating.
+ */
+function nextTurn(state) {
+    if (!state.currentTurn || !state.seating || state.seating.length === 0) return;
+    const currentIndex = state.seating.indexOf(state.currentTurn);
+    if (currentIndex === -1) {
+        console.error("Current player not in seating order!");
+        return;
+    }
+    const nextIndex = (currentIndex + 1) % state.seating.length;
+    state.currentTurn = state.seating[nextIndex];
+}
+
+
+// =============================================================================
+// == ROUND LIFECYCLE                                                         ==
+// =============================================================================
+
+/**
+ * (ROUTINE) Deals each connected player a hand of the room's tile set from the
+ * context's deal seed, or from the round's own seed when the room plays a fixed
+ * one. What nobody is dealt becomes the boneyard.
+ */
+function dealHands(state, ctx, events) {
+    const seed = typeof ctx.fixedSeed === 'number' ? seedForRound(ctx.fixedSeed, state.matchNumber, state.roundNumber) : ctx.dealSeed;
+    if (typeof seed !== 'number') {
+        throw new Error('Rule context is missing the dealSeed needed to deal a round');
+    }
+    state.roundSeed = seed >>> 0;
+    const tileSet = tileSetOf(state.tileSet);
+    let dominoesPool = generateDominoes(tileSet.maxPips);
+    shuffleArray(dominoesPool, createRng(state.roundSeed));
+    connectedPlayerNames(ctx).forEach(playerName => {
+        state.hands[playerName] = dominoesPool.splice(0, tileSet.handSize);
+        events.push({ type: 'playerHand', to: playerName, hand: [...state.hands[playerName]] });
+    });
+    state.boneyard = dominoesPool;
+}
+
+/**
+ * (ROUTINE) Initializes all state variables for a new round of play.
+ */
+function initializeRound(state, ctx, events) {
+    state.gameInitialized = true;
+    state.isFirstMove = true;
+    state.board = [];
+    state.leftEnd = null;
+    state.rightEnd = null;
+    state.upEnd = null;
+    state.downEnd = null;
+    state.spinnerArms = { up: [], down: [] };
+    state.spinnerTile = null;
+    state.fourWaySpinner = Boolean(ctx.fourWaySpinner) || ctx.scoringMode === 'allFives'; // All-Fives scores off all four sides
+    state.tileSet = TILE_SETS[ctx.tileSet] ? ctx.tileSet : DEFAULT_TILE_SET;
+    state.drawFromBoneyard = ctx.players.length < 4;
+    state.individualScoring = Boolean(ctx.individualScoring) || ctx.players.length < 4;
+    state.endRoundMessage = null;
+    state.lastPlayedTile = null;
+    state.matchOver = false;
+    state.endMatchMessage = null;
+    state.gameBlocked = false;
+    state.isTiedBlockedGame = false;
+    state.roundMoves = [];
+    state.roundBonuses = [];
+    state.roundScoring = null;
+    state.scoringMode = ctx.scoringMode || 'classic';
+    state.openingRule = OPENING_RULES.includes(ctx.openingRule) ? ctx.openingRule : DEFAULT_OPENING_RULE;
+
+    state.roundNumber += 1;
+    dealHands(state, ctx, events);
+    state.openingDouble = highestDealtDouble(state, ctx);
+
+    if (state.individualScoring) {
+        // Everyone for themselves: play goes round the seats in order
+        state.teams = { teamA: [], teamB: [] };
+        state.seating = ctx.players.map(p => p.name);
+        state.seating.forEach(name => {
+            if (state.playerScores[name] === undefined) state.playerScores[name] = 0;
+        });
+    } else {
+        // Partners are set when a match starts and kept for all of its rounds
+        if (state.isFirstRoundOfMatch || state.teams.teamA.length === 0) {
+            const teamDraw = createRng((state.roundSeed ^ TEAM_DRAW_SALT) >>> 0); // Not the deal's own stream
+            state.teams = ctx.matchTeams ? structuredClone(ctx.matchTeams) : teamsForMatch(state.matchNumber, ctx.partnershipPolicy, teamDraw);
+        }
+
+        // Set seating order for turns: [p1, p2, p1_partner, p2_partner]
+        const teamA = state.teams.teamA;
+        const teamB = state.teams.teamB;
+        state.seating = [teamA[0], teamB[0], teamA[1], teamB[1]];
+    }
+    const connectedNames = connectedPlayerNames(ctx);
+
+    if (state.isFirstRoundOfMatch) {
+        const startingPlayer = findDoubleHolder(state, ctx, state.openingDouble);
+        state.currentTurn = startingPlayer || "Jugador 1";
+        state.isAfterTiedBlockedGame = false;
+    } else if (state.openingRule === 'rotate' && state.seating.includes(state.roundOpener)) {
+        // The opener moves one seat counter-clockwise every hand, whoever won or tied
+        state.currentTurn = state.seating[(state.seating.indexOf(state.roundOpener) + 1) % state.seating.length];
+        state.isAfterTiedBlockedGame = false;
+    } else if (state.isAfterTiedBlockedGame) {
+        // After tied blocked game: find who has the highest double dealt
+        const openingHolder = findDoubleHolder(state, ctx, state.openingDouble);
+        state.currentTurn = openingHolder || state.lastWinner || state.seating[0] || "Jugador 1";
+    } else {
+        state.currentTurn = state.lastWinner && connectedNames.includes(state.lastWinner) ? state.lastWinner : (state.seating[0] || "Jugador 1");
+        state.isAfterTiedBlockedGame = false;
+    }
+    state.roundOpener = state.currentTurn;
+    events.push({
+        type: 'roundStarted',
+        seed: state.roundSeed,
+        matchNumber: state.matchNumber,
+        teams: structuredClone(state.teams),
+        seating: [...state.seating],
+        hands: structuredClone(state.hands),
+        startingPlayer: state.currentTurn
+    });
+    events.push({ type: 'gameState' });
+}
+
+/**
+ * (ROUTINE) Adds up the open ends of the board the way All-Fives counts them: a
+ * double lying at an end counts both of its halves. The spinner's arms count
+ * once a tile has been played on them.
+ */
+function countOpenEnds(state) {
+    const board = state.board;
+    if (board.length === 0) return 0;
+    if (board.length === 1) return board[0].left + board[0].right;
+    const first = board[0];
+    const last = board[board.length - 1];
+    const leftCount = first.left === first.right ? first.left * 2 : first.left;
+    const rightCount = last.left === last.right ? last.right * 2 : last.right;
+    const arms = state.spinnerArms || { up: [], down: [] };
+    const armCount = [arms.up, arms.down].reduce((sum, arm) => {
+        if (arm.length === 0) return sum;
+        const tip = arm[arm.length - 1];
+        return sum + (tip.left === tip.right ? tip.right * 2 : tip.right);
+    }, 0);
+    return leftCount + rightCount + armCount;
+}
+
+/**
+ * (ROUTINE) Returns the score that wins the match: the team target, or the
+ * per-player one when everyone scores alone.
+ */
+function matchTargetScore(state, ctx) {
+    return state.individualScoring ? (ctx.playerTargetScore || 100) : (ctx.targetScore || 70);
+}
+
+/**
+ * (ROUTINE) Scores points in the middle of a round for a player, or for their
+ * team. `bonus` names a Latin bonus, if that is what scored. Returns true if
+ * that took them to the target.
+ */
+function scoreDuringRound(state, player, points, ctx, events, bonus = null) {
+    if (state.individualScoring) {
+        state.playerScores[player] = (state.playerScores[player] || 0) + points;
+        events.push({ type: 'moveScored', playerName: player, displayName: displayNameOf(ctx, player), team: null, points, bonus });
+        return state.playerScores[player] >= matchTargetScore(state, ctx);
+    }
+    const team = state.teams.teamA.includes(player) ? 'teamA' : 'teamB';
+    state.teamScores[team] += points;
+    events.push({ type: 'moveScored', playerName: player, displayName: displayNameOf(ctx, player), team, points, bonus });
+    return state.teamScores[team] >= matchTargetScore(state, ctx);
+}
+
+/**
+ * (ROUTINE) All-Fives: scores the move just made when the open ends add up to a
+ * multiple of 5. Returns true if that took the player (or their team) to the target.
+ */
+function scoreOpenEnds(state, player, ctx, events) {
+    if (state.scoringMode !== 'allFives') return false;
+    const points = countOpenEnds(state);
+    if (points === 0 || points % 5 !== 0) return false;
+    return scoreDuringRound(state, player, points, ctx, events);
+}
+
+/**
+ * (ROUTINE) Scores a Latin bonus when the room plays with it (a value of 0 is
+ * off) and keeps it for the round message. Returns true if it reached the target.
+ */
+function scoreBonus(state, bonus, player, points, ctx, events) {
+    if (!points) return false;
+    state.roundBonuses.push({ bonus, player, points });
+    return scoreDuringRound(state, player, points, ctx, events, BONUS_NAMES[bonus]);
+}
+
+/**
+ * (ROUTINE) Capicúa: the tile about to be played fits every open end, so it
+ * could have gone on either side. Never on the opening tile.
+ */
+function fitsEveryEnd(state, tile) {
+    if (state.isFirstMove) return false;
+    const ends = openEnds(state);
+    return ends.length > 1 && ends.every(end => tile.left === end.value || tile.right === end.value);
+}
+
+/**
+ * (ROUTINE) Pase corrido: the turn came back to whoever played last because
+ * everyone else passed in a row. Heads-up a single pass does not count.
+ */
+function isPaseCorrido(state) {
+    if (state.seating.length < 3) return false;
+    const lastPlayIndex = state.roundMoves.findLastIndex(move => move.type === 'play');
+    if (lastPlayIndex === -1 || state.roundMoves[lastPlayIndex].player !== state.currentTurn) return false;
+    const passed = new Set(state.roundMoves.slice(lastPlayIndex + 1).filter(move => move.type === 'pass').map(move => move.player));
+    return passed.size === state.seating.length - 1;
+}
+
+/**
+ * (ROUTINE) Names the bonuses scored this round, for the end of the round
+ * message. A player's repeated pases corridos are added up into one.
+ */
+function describeBonuses(state, ctx) {
+    const totals = new Map();
+    state.roundBonuses.forEach(({ bonus, player, points }) => {
+        const key = `${bonus}:${player}`;
+        const total = totals.get(key) || { bonus, player, points: 0, times: 0 };
+        total.points += points;
+        total.times += 1;
+        totals.set(key, total);
+    });
+    return [...totals.values()]
+        .map(({ bonus, player, points, times }) => ` ${BONUS_NAMES[bonus]}${times > 1 ? ` x${times}` : ''} de ${displayNameOf(ctx, player)}: +${points}!`)
+        .join('');
+}
+
+/**
+ * (ROUTINE) Returns who laid the tile that blocked the game.
+ */
+function closerOf(state) {
+    const lastPlay = state.roundMoves.findLast(move => move.type === 'play');
+    return lastPlay ? lastPlay.player : null;
+}
+
+/**
+ * (ROUTINE) Returns the room's scoring options, with the defaults filled in.
+ */
+function scoringOptionsOf(ctx) {
+    return { ...DEFAULT_SCORING_OPTIONS, ...(ctx.scoringOptions || {}) };
+}
+
+/**
+ * (ROUTINE) Adds up the hands a round is scored from, each rounded the way the
+ * room counts them, and keeps the count in state.roundScoring for the clients.
+ */
+function countHands(state, ctx, players) {
+    const { roundTo } = scoringOptionsOf(ctx);
+    state.roundScoring = players.map(player => {
+        const pips = calculateHandValue(state.hands[player]);
+        return { player, pips, points: roundTo ? Math.round(pips / roundTo) * roundTo : pips };
+    });
+    return state.roundScoring.reduce((total, hand) => total + hand.points, 0);
+}
+
+/**
+ * (ROUTINE) Checks whether a blocked game is worth every pip left on the table
+ * rather than only what the losing side holds.
+ */
+function blockedGameCountsAll(ctx) {
+    return ctx.blockedGameScoring === 'allHands' || scoringOptionsOf(ctx).countEverything;
+}
+
+/**
+ * (ROUTINE) Picks the team that takes a blocked game under the room's tranque
+ * rule, given what each team has left. Returns null when it is a tie.
+ */
+function blockedGameTeam(state, ctx, scoreA, scoreB) {
+    const teamOf = player => (state.teams.teamA.includes(player) ? 'teamA' : 'teamB');
+    switch (ctx.tranqueWinner) {
+        case 'lowestPlayer': {
+            // Equal lowest hands on both sides are still a tie
+            const ranked = connectedPlayerNames(ctx)
+                .map(player => ({ player, pips: calculateHandValue(state.hands[player]) }))
+                .sort((a, b) => a.pips - b.pips);
+            const lowest = ranked.filter(r => r.pips === ranked[0].pips).map(r => teamOf(r.player));
+            return lowest.every(team => team === lowest[0]) ? lowest[0] : null;
+        }
+        case 'closer': {
+            const closer = closerOf(state);
+            return closer ? teamOf(closer) : null;
+        }
+        default:
+            if (scoreA === scoreB) return null;
+            return scoreA < scoreB ? 'teamA' : 'teamB';
+    }
+}
+
+/**
+ * (ROUTINE) Ranks the connected players by the pips left in their hands.
+ */
+function lowestPipPlayer(state, ctx) {
+    const allPipCounts = connectedPlayerNames(ctx)
+        .map(playerName => ({ player: playerName, score: calculateHandValue(state.hands[playerName]) }))
+        .sort((a, b) => a.score - b.score);
+    return allPipCounts.length > 0 ? allPipCounts[0].player : null;
+}
+
+/**
+ * (ROUTINE) Describes how a round finished, with the hands that were left.
+ */
+function roundEndedEvent(state, outcome) {
+    return {
+        type: 'roundEnded',
+        winner: outcome.winner || null,
+        blocked: !!outcome.blocked,
+        message: state.endRoundMessage,
+        teamScores: { ...state.teamScores },
+        playerScores: { ...state.playerScores },
+        hands: structuredClone(state.hands)
+    };
+}
+
+/**
+ * (ROUTINE) Sets up the next round after a blocked game nobody won: the holder
+ * of the round's opening double opens it with any tile, or failing that the
+ * lowest hand. The set's top double may be in the boneyard.
+ */
+function markTiedBlockedGame(state, ctx) {
+    state.isTiedBlockedGame = true;
+    state.isAfterTiedBlockedGame = true;
+
+    const openingHolder = findDoubleHolder(state, ctx, state.openingDouble);
+    if (openingHolder) {
+        state.lastWinner = openingHolder;
+    } else {
+        // Fallback: lowest pip count starts
+        const leader = lowestPipPlayer(state, ctx);
+        if (leader) state.lastWinner = leader;
+        state.isAfterTiedBlockedGame = false;
+    }
+}
+
+/**
+ * (ROUTINE) Scores a round when everyone plays for themselves: whoever went out,
+ * or the lowest hand of a blocked game, collects the pips left in all the other
+ * hands. Returns the round message.
+ */
+function scoreIndividualRound(state, outcome, ctx, events) {
+    const pipsOf = playerName => calculateHandValue(state.hands[playerName]);
+    const names = connectedPlayerNames(ctx);
+
+    if (outcome.winner) {
+        const winner = outcome.winner;
+        const points = countHands(state, ctx, names.filter(p => p !== winner));
+        state.playerScores[winner] = (state.playerScores[winner] || 0) + points;
+        state.lastWinner = winner;
+        const winnerDisplayName = displayNameOf(ctx, winner);
+        events.push({ type: 'playerWonHand', playerName: winner, displayName: winnerDisplayName, points: points });
+        return `${winnerDisplayName} domino! Gana ${points} puntos!`;
+    }
+
+    state.gameBlocked = true;
+    const ranked = names.map(p => ({ player: p, pips: pipsOf(p) })).sort((a, b) => a.pips - b.pips);
+    const tranqueWinner = TRANQUE_WINNERS[ctx.tranqueWinner] ? ctx.tranqueWinner : DEFAULT_TRANQUE_WINNER;
+    let reason = TRANQUE_WINNERS[tranqueWinner];
+    // Alone, the lowest side is the lowest hand: only the closer rule picks someone else
+    let winner = tranqueWinner === 'closer' ? closerOf(state)
+        : (ranked.length > 1 && ranked[0].pips === ranked[1].pips ? null : ranked[0].player);
+    if (!winner && ctx.blockedGameTie === 'closer' && closerOf(state)) {
+        winner = closerOf(state);
+        reason = 'el empate por trancar el juego';
+    }
+    if (!winner) {
+        markTiedBlockedGame(state, ctx);
+        return `Juego Cerrado! Empate - nadie gana puntos.`;
+    }
+    const points = countHands(state, ctx, blockedGameCountsAll(ctx) ? names : names.filter(p => p !== winner));
+    state.playerScores[winner] = (state.playerScores[winner] || 0) + points;
+    state.lastWinner = winner;
+    state.isAfterTiedBlockedGame = false;
+    state.isTiedBlockedGame = false;
+    return `Juego Cerrado! ${displayNameOf(ctx, winner)} gana ${reason}, gana ${points} puntos.`;
+}
+
+/**
+ * (ROUTINE) Ends the match: shows the match-over screen until everyone is
+ * ready for the next one.
+ */
+function closeMatch(state, outcome, endMessage, matchOverMessage, matchOverEvent, events) {
+    // DO NOT RESET STATE HERE. Wait for players to be ready.
+    // Set flags to show the match over screen on the client.
+    state.matchOver = true;
+    state.endMatchMessage = matchOverMessage;
+    state.endRoundMessage = endMessage + matchOverMessage;
+    state.gameInitialized = false;
+    state.readyPlayers.clear();
+
+    events.push(roundEndedEvent(state, outcome));
+    events.push(matchOverEvent);
+    events.push({ type: 'gameState' });
+}
+
+/**
+ * (ROUTINE) Ends the current round, calculates scores, and checks for a match winner.
+ */
+function endRound(state, outcome, ctx, events) {
+    let endMessage = "Mano finalizada!";
+    let matchOverMessage = "";
+
+    if (outcome.reachedTarget) {
+        // All-Fives: a scoring move can win the match before anyone is out
+        state.lastWinner = outcome.reachedTarget;
+        // Playing alone it is the player's own score, otherwise the team's
+        const scoringTeam = state.teams.teamA.includes(outcome.reachedTarget) ? 'teamA' : 'teamB';
+        const scorerName = state.individualScoring ? displayNameOf(ctx, outcome.reachedTarget) : `Equipo ${scoringTeam.slice(-1)}`;
+        endMessage = `${scorerName} llega a ${matchTargetScore(state, ctx)} puntos con su jugada!`;
+    } else if (state.individualScoring) {
+        endMessage = scoreIndividualRound(state, outcome, ctx, events);
+    } else if (outcome.winner) {
+        const winner = outcome.winner;
+        state.lastWinner = winner;
+        const winnerTeam = state.teams.teamA.includes(winner) ? 'teamA' : 'teamB';
+        const loserTeamKey = winnerTeam === 'teamA' ? 'teamB' : 'teamA';
+        // Counting everything also takes in the hand the winner's partner holds
+        const counted = scoringOptionsOf(ctx).countEverything ? connectedPlayerNames(ctx).filter(p => p !== winner) : state.teams[loserTeamKey];
+        const points = countHands(state, ctx, counted);
+        state.teamScores[winnerTeam] += points;
+        const winnerDisplayName = displayNameOf(ctx, winner);
+        endMessage = `${winnerDisplayName} domino! Equipo ${winnerTeam.slice(-1)} gana ${points} puntos!`;
+
+        // Domino win bell sound for ALL players in room
+        events.push({ type: 'playerWonHand', playerName: winner, displayName: winnerDisplayName, points: points });
+    } else if (outcome.blocked) {
+        state.gameBlocked = true;
+        const scoreA = state.teams.teamA.reduce((total, p) => total + calculateHandValue(state.hands[p]), 0);
+        const scoreB = state.teams.teamB.reduce((total, p) => total + calculateHandValue(state.hands[p]), 0);
+
+        let winningTeamKey = blockedGameTeam(state, ctx, scoreA, scoreB);
+        let reason = TRANQUE_WINNERS[ctx.tranqueWinner] || TRANQUE_WINNERS[DEFAULT_TRANQUE_WINNER];
+        let leader = lowestPipPlayer(state, ctx);
+        const closer = closerOf(state);
+        if (!winningTeamKey && ctx.blockedGameTie === 'closer' && closer) {
+            // The tie goes to the side that closed the game, and the closer leads next
+            winningTeamKey = state.teams.teamA.includes(closer) ? 'teamA' : 'teamB';
+            reason = 'el empate por trancar el juego';
+            leader = closer;
+        }
+        if (winningTeamKey) {
+            const losingTeamKey = winningTeamKey === 'teamA' ? 'teamB' : 'teamA';
+            const points = countHands(state, ctx, blockedGameCountsAll(ctx) ? connectedPlayerNames(ctx) : state.teams[losingTeamKey]);
+            state.teamScores[winningTeamKey] += points;
+            endMessage = `Juego Cerrado! Equipo ${winningTeamKey.slice(-1)} gana ${reason}, gana ${points} puntos.`;
+            // Determine next leader for blocked game
+            if (leader) state.lastWinner = leader;
+            state.isAfterTiedBlockedGame = false;
+            state.isTiedBlockedGame = false;
+        } else {
+            // TIED BLOCKED GAME - Special rule implementation
+            endMessage = `Juego Cerrado! Empate - nadie gana puntos.`;
+            markTiedBlockedGame(state, ctx);
+        }
+    }
+
+    endMessage += describeBonuses(state, ctx);
+
+    const scoreA = state.teamScores.teamA;
+    const scoreB = state.teamScores.teamB;
+
+    const targetScore = matchTargetScore(state, ctx);
+    if (state.individualScoring) {
+        const standings = Object.entries(state.playerScores).sort((a, b) => b[1] - a[1]);
+        const [leader, leaderScore] = standings[0] || [null, 0];
+        if (leader && leaderScore >= targetScore) {
+            // Shutout: 2 match points if nobody else scored at all
+            const matchPoints = standings.slice(1).every(([, score]) => score === 0) ? 2 : 1;
+            if (state.playerStats[leader]) state.playerStats[leader].matchesWon += matchPoints;
+
+            const leaderDisplayName = displayNameOf(ctx, leader);
+            const shutoutMessage = matchPoints === 2 ? ` (Zapato: +${matchPoints} puntos!)` : '';
+            matchOverMessage = `\n${leaderDisplayName} gana el match con ${leaderScore} puntos!${shutoutMessage}`;
+            closeMatch(state, outcome, endMessage, matchOverMessage, { type: 'matchOver', winningTeamName: leaderDisplayName, winningTeam: null, winner: leader, playerCount: connectedPlayerNames(ctx).length }, events);
+            return;
+        }
+    } else if (scoreA >= targetScore || scoreB >= targetScore) {
+        const winningTeamName = scoreA > scoreB ? 'Team A' : 'Team B';
+        const winningTeamKey = scoreA > scoreB ? 'teamA' : 'teamB';
+        const losingTeamScore = scoreA > scoreB ? scoreB : scoreA;
+
+        // Implement shutout rule: 2 points if opposing team has 0 points, otherwise 1 point
+        const matchPoints = losingTeamScore === 0 ? 2 : 1;
+
+        state.teams[winningTeamKey].forEach(playerName => {
+            if (state.playerStats[playerName]) {
+                state.playerStats[playerName].matchesWon += matchPoints;
+            }
+        });
+
+        const shutoutMessage = losingTeamScore === 0 ? ` (Zapato: +${matchPoints} puntos!)` : '';
+        matchOverMessage = `\n${winningTeamName} gana el match ${scoreA} a ${scoreB}!${shutoutMessage}`;
+
+        closeMatch(state, outcome, endMessage, matchOverMessage, { type: 'matchOver', winningTeamName, winningTeam: winningTeamKey, playerCount: connectedPlayerNames(ctx).length }, events);
+        return; // Stop further execution until players are ready.
+    }
+
+    // Standard end of round (not end of match)
+    state.isFirstRoundOfMatch = false;
+    state.matchOver = false;
+    state.endMatchMessage = null;
+    state.gameInitialized = false;
+    state.endRoundMessage = endMessage;
+    state.readyPlayers.clear();
+    events.push(roundEndedEvent(state, outcome));
+    events.push({ type: 'gameState' });
+}
+
+/**
+ * (ROUTINE) Checks if the round should end after a move has been made.
+ */
+function checkRoundEnd(state, ctx, events) {
+    if (!state.gameInitialized) return;
+    const connectedNames = connectedPlayerNames(ctx);
+    const winner = connectedNames.find(p => state.hands[p] && state.hands[p].length === 0);
+    if (winner) { return endRound(state, { winner }, ctx, events); }
+    const canAnyPlayerMove = connectedNames.some(p => hasValidMove(state, p));
+    const stockLeft = state.drawFromBoneyard && state.boneyard.length > 0; // Somebody can still draw
+    if (!canAnyPlayerMove && !stockLeft) { return endRound(state, { blocked: true }, ctx, events); }
+    events.push({ type: 'gameState' });
+}
+
+
+// =============================================================================
+// == PLAYER ACTIONS                                                          ==
+// =============================================================================
+
+/**
+ * (ROUTINE) Lays a tile on the board at the given end, turned so it matches, and
+ * moves that end on. Returns the tile as laid, or null if it does not fit there.
+ */
+function placeTileOnBoard(state, tile, position) {
+    if (state.isFirstMove) {
+        state.board.push(tile);
+        state.leftEnd = tile.left;
+        state.rightEnd = tile.right;
+        state.spinnerTile = tile;
+        state.isFirstMove = false;
+        return tile;
+    }
+
+    const end = openEnds(state).find(e => e.position === position);
+    if (!end || (tile.left !== end.value && tile.right !== end.value)) return null;
+    const oriented = tile.left === end.value ? tile : { left: tile.right, right: tile.left }; // Matching half first
+    let laid = oriented;
+    if (position === 'left') {
+        laid = { left: oriented.right, right: oriented.left }; // The board reads left to right
+        state.board.unshift(laid);
+        state.leftEnd = laid.left;
+    } else if (position === 'right') {
+        state.board.push(laid);
+        state.rightEnd = laid.right;
+    } else {
+        state.spinnerArms[position].push(laid);
+        state[`${position}End`] = laid.right;
+    }
+
+    // A double spinner opens its top and bottom once both of its sides are covered
+    const spinner = state.spinnerTile;
+    if (state.fourWaySpinner && state.upEnd === null && spinner && spinner.left === spinner.right) {
+        const spinnerIndex = state.board.findIndex(t => t.left === spinner.left && t.right === spinner.right);
+        if (spinnerIndex > 0 && spinnerIndex < state.board.length - 1) {
+            state.upEnd = spinner.left;
+            state.downEnd = spinner.left;
+        }
+    }
+    return laid;
+}
+
+/**
+ * (ROUTINE) Returns the board a move would leave, without touching the hands or
+ * the turn. Lets the bots look one move ahead.
+ */
+function previewMove(state, move) {
+    const preview = {
+        ...state,
+        board: [...state.board],
+        spinnerArms: { up: [...(state.spinnerArms || { up: [] }).up], down: [...(state.spinnerArms || { down: [] }).down] }
+    };
+    placeTileOnBoard(preview, move.tile, move.position);
+    return preview;
+}
+
+/**
+ * (ROUTINE) Places a tile from the player's hand on one of the open ends.
+ */
+function playTile(state, { player, tile, position }, ctx, events) {
+    if (!state.gameInitialized || state.currentTurn !== player || !tile) return;
+    const hand = state.hands[player];
+    if (!hand) return;
+
+    const tileIndex = hand.findIndex(t => (t.left === tile.left && t.right === tile.right) || (t.left === tile.right && t.right === tile.left));
+    if (tileIndex === -1) return;
+
+    let validMove = false;
+    let playedTileForHighlight = null;
+    const isCapicua = hand.length === 1 && fitsEveryEnd(state, hand[tileIndex]); // Checked before the ends move
+
+    if (state.isFirstMove) {
+        if (!canOpenWith(state, tile)) {
+            const required = state.openingRule === 'anyDouble' ? 'un doble' : `${state.openingDouble}|${state.openingDouble}`;
+            events.push({ type: 'gameError', to: player, message: `Primera ficha debe ser ${required}!` });
+            return;
+        }
+        playedTileForHighlight = placeTileOnBoard(state, hand[tileIndex], position);
+        validMove = true;
+        // Reset the tied blocked game flag after first move
+        state.isAfterTiedBlockedGame = false;
+    } else {
+        playedTileForHighlight = placeTileOnBoard(state, hand[tileIndex], position);
+        validMove = playedTileForHighlight !== null;
+    }
+
+    if (!validMove) {
+        events.push({ type: 'gameError', to: player, message: 'Jugada inválida!' });
+        return;
+    }
+
+    hand.splice(tileIndex, 1);
+    state.lastPlayedTile = playedTileForHighlight;
+    state.roundMoves.push({ type: 'play', player, tile: playedTileForHighlight, position });
+    events.push({ type: 'playerHand', to: player, hand: [...hand] });
+    events.push({ type: 'moveSuccess', to: player, tile: playedTileForHighlight });
+    // Tile placement sound for ALL players in room
+    events.push({ type: 'tilePlaced', playerName: player, tile: playedTileForHighlight, position });
+
+    const reachedTarget = scoreOpenEnds(state, player, ctx, events);
+    if (isCapicua) scoreBonus(state, 'capicua', player, ctx.capicuaBonus, ctx, events); // The round is over anyway
+    nextTurn(state);
+    if (reachedTarget) {
+        endRound(state, { reachedTarget: player }, ctx, events);
+        return;
+    }
+    checkRoundEnd(state, ctx, events);
+}
+
+/**
+ * (ROUTINE) Boneyard games: a player with no move takes a tile from the boneyard
+ * and keeps the turn, drawing again until something fits.
+ */
+function drawTile(state, { player }, ctx, events) {
+    if (!state.gameInitialized || state.currentTurn !== player || !canDraw(state, player)) return;
+
+    const tile = state.boneyard.shift();
+    state.hands[player].push(tile);
+    state.roundMoves.push({ type: 'draw', player, leftEnd: state.leftEnd, rightEnd: state.rightEnd, upEnd: state.upEnd, downEnd: state.downEnd });
+    events.push({ type: 'playerHand', to: player, hand: [...state.hands[player]] });
+    events.push({ type: 'tileDrawn', playerName: player, tile, boneyardCount: state.boneyard.length });
+    events.push({ type: 'gameState' });
+}
+
+/**
+ * (ROUTINE) Passes the turn when the player has no valid move and nothing left to draw.
+ */
+function passTurn(state, { player }, ctx, events) {
+    if (!state.gameInitialized || state.currentTurn !== player || hasValidMove(state, player) || canDraw(state, player)) return;
+
+    state.roundMoves.push({ type: 'pass', player, leftEnd: state.leftEnd, rightEnd: state.rightEnd, upEnd: state.upEnd, downEnd: state.downEnd });
+    // Pass turn sound for ALL players in room
+    events.push({ type: 'playerPassed', playerName: player });
+
+    nextTurn(state);
+    if (isPaseCorrido(state) && scoreBonus(state, 'paseCorrido', state.currentTurn, ctx.paseCorridoBonus, ctx, events)) {
+        endRound(state, { reachedTarget: state.currentTurn }, ctx, events);
+        return;
+    }
+    checkRoundEnd(state, ctx, events);
+}
+
+/**
+ * (ROUTINE) Marks a player ready and starts the next round once every seat is.
+ * Only between rounds: the first round of all is dealt by the host.
+ */
+function markReady(state, { player }, ctx, events) {
+    if (!player || !state.endRoundMessage) return;
+
+    state.readyPlayers.add(player);
+    events.push({ type: 'gameState' });
+
+    const connectedNames = connectedPlayerNames(ctx);
+    if (state.readyPlayers.size === connectedNames.length && connectedNames.length === ctx.players.length) { // Ensure every seat is ready
+        if (state.matchOver) {
+            // --- RESET STATE FOR NEW MATCH ---
+            const freshState = createGameState();
+            freshState.playerStats = state.playerStats;
+            freshState.matchNumber = state.matchNumber + 1;
+            freshState.lastWinner = state.lastWinner;
+            freshState.isFirstRoundOfMatch = true;
+            Object.assign(state, freshState); // Overwrites every key of the old state
+        }
+
+        state.readyPlayers.clear();
+        initializeRound(state, ctx, events);
+    }
+}
+
+/**
+ * (ROUTINE) Ends the match early, as the players voted: the round in play is
+ * dropped and nobody gets match points. The next match starts once all are ready.
+ */
+function abandonMatch(state, action, ctx, events) {
+    if (state.matchOver || (!state.gameInitialized && !state.endRoundMessage)) return;
+
+    const score = state.individualScoring
+        ? Object.entries(state.playerScores).map(([name, points]) => `${displayNameOf(ctx, name)} ${points}`).join(', ')
+        : `${state.teamScores.teamA} a ${state.teamScores.teamB}`;
+    state.matchOver = true;
+    state.gameInitialized = false;
+    state.endMatchMessage = `Match terminado por votación con ${score}. Nadie gana puntos de match.`;
+    state.endRoundMessage = state.endMatchMessage;
+    state.readyPlayers.clear();
+    events.push({ type: 'gameState' });
+}
+
+
+// =============================================================================
+// == PUBLIC TRANSITIONS                                                      ==
+// =============================================================================
+
+/**
+ * (ROUTINE) Deals and starts a new round. Returns { state, events }.
+ */
+function startRound(state, ctx) {
+    const next = cloneState(state);
+    const events = [];
+    initializeRound(next, ctx, events);
+    return { state: next, events };
+}
+
+/**
+ * (ROUTINE) Applies a player action to the game. Returns { state, events };
+ * an illegal action yields an unchanged copy of the state.
+ */
+function applyAction(state, action, ctx) {
+    const next = cloneState(state);
+    const events = [];
+    switch (action.type) {
+        case 'play':
+            playTile(next, action, ctx, events);
+            break;
+        case 'draw':
+            drawTile(next, action, ctx, events);
+            break;
+        case 'pass':
+            passTurn(next, action, ctx, events);
+            break;
+        case 'ready':
+            markReady(next, action, ctx, events);
+            break;
+        case 'endMatch':
+            abandonMatch(next, action, ctx, events);
+            break;
+        default:
+            throw new Error(`Unknown action type: ${action.type}`);
+    }
+    return { state: next, events };
+}
+
+module.exports = {
+    PLAYER_NAMES,
+    TILE_SETS,
+    DEFAULT_TILE_SET,
+    TRANQUE_WINNERS,
+    DEFAULT_TRANQUE_WINNER,
+    DEFAULT_SCORING_OPTIONS,
+    OPENING_RULES,
+    DEFAULT_OPENING_RULE,
+    createGameState,
+    generateDominoes,
+    createRng,
+    normalizeSeed,
+    seedForRound,
+    shuffleArray,
+    calculateHandValue,
+    tileSetOf,
+    findDoubleHolder,
+    highestDealtDouble,
+    openEnds,
+    hasValidMove,
+    listValidMoves,
+    canDraw,
+    previewMove,
+    countOpenEnds,
+    teamsForMatch,
+    startRound,
+    applyAction
+};
@@ -6,18 +6,29 @@ const express = require('express');
 const http = require('http');
 const socketIo = require('socket.io');
 const fs = require('fs');
+const crypto = require('crypto');
 const path = require('path');
 const analytics = require('./analytics');
+const rules = require('./rules');
+const replays = require('./replays');
+const roomStore = require('./room-store');
+const sessionTokens = require('./session-tokens');
+const bots = require('./bots');
 
 const app = express();
 // Endpoint to get active rooms and their player counts
 app.get('/active-rooms', (req, res) => {
     const rooms = [];
     for (let [roomId, room] of gameRooms) {
+        if (room.settings.isPrivate) continue; // Private rooms are joined by name plus password or invite code
         const connectedCount = room.jugadores.filter(p => p.isConnected).length;
+        const queue = describeQueue(room);
         rooms.push({
             roomId,
-            connectedCount
+            connectedCount,
+            seatCount: room.jugadores.length,
+            queueLength: queue.length,
+            nextPair: queue.slice(0, 2) // Who sits in when the current match ends
         });
     }
     res.json({ rooms });
@@ -44,6 +55,77 @@ app.get('/analytics', async (req, res) => {
         res.status(500).json({ success: false, error: 'Analytics unavailable' });
     }
 });
+
+/**
+ * (ROUTINE) Escapes text for an HTML page: room IDs and display names are
+ * whatever the players typed.
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Replay endpoints
+app.get('/replays', async (req, res) => {
+    try {
+        const list = await replays.listReplays();
+        let html = `
+        <!DOCTYPE html>
+        <html>
+        <head>
+            <title>Domino4 - Repeticiones</title>
+            <meta charset="UTF-8">
+            <style>
+                body { font-family: Arial, sans-serif; margin: 20px; background: #f5f5f5; }
+                .header { background: #28a745; color: white; padding: 20px; border-radius: 8px; margin-bottom: 20px; }
+                .replay { background: white; border-left: 4px solid #28a745; margin: 10px 0; padding: 15px; border-radius: 4px; box-shadow: 0 2px 4px rgba(0,0,0,0.1); }
+                .meta { color: #666; font-size: 12px; margin-bottom: 10px; }
+                .no-replays { text-align: center; color: #666; font-style: italic; padding: 40px; }
+            </style>
+        </head>
+        <body>
+            <div class="header">
+                <h1>🎬 Domino4 - Repeticiones</h1>
+                <p>Manos jugadas recientemente</p>
+            </div>
+        `;
+        if (list.length === 0) {
+            html += '<div class="no-replays">📭 No hay repeticiones aún</div>';
+        } else {
+            list.forEach(replay => {
+                const date = new Date(replay.endedAt).toLocaleString('es-ES');
+                html += `
+                <div class="replay">
+                    <div class="meta">📅 ${date} | 🏠 ${escapeHtml(replay.roomId)} | Match ${escapeHtml(replay.matchNumber)} | 🆔 ${escapeHtml(replay.id)}</div>
+                    <div><a href="/replay/${encodeURIComponent(replay.id)}">${escapeHtml(replay.players.join(', '))}</a> - ${escapeHtml(replay.result || '')}</div>
+                </div>
+                `;
+            });
+        }
+        html += '</body></html>';
+        res.send(html);
+    } catch (error) {
+        console.error('Error listing replays:', error);
+        res.status(500).json({ success: false, error: 'Error listing replays' });
+    }
+});
+
+app.get('/replay/:id', (req, res) => {
+    res.sendFile(path.join(__dirname, 'replay.html'));
+});
+
+app.get('/replay-data/:id', async (req, res) => {
+    const replay = await replays.getReplay(req.params.id);
+    if (!replay || replay.isPrivate) { // A private room's hands stay private
+        return res.status(404).json({ success: false, error: 'Replay not found' });
+    }
+    res.json({ success: true, replay });
+});
+
 const server = http.createServer(app);
 const io = socketIo(server);
 
@@ -59,16 +141,25 @@ const POINTS_TO_WIN_MATCH = 20;
 const gameRooms = new Map(); // roomId -> { jugadores, gameState, roomId }
 let nextRoomId = 1;
 
+// Name-based seat reclaims waiting for the host's answer
+const RECLAIM_REQUEST_TIMEOUT_MS = 60000;
+const pendingReclaims = new Map(); // requestId -> { roomId, seatName, socketId, avatar, timer }
+
+const BOT_MOVE_DELAY_MS = 1200; // Pause before a bot plays, so people can follow the game
+const BOT_FILL_DELAY_MS = 15000; // Time other players get to join before bots take the empty seats
+
+const VOTE_WINDOW_MS = 30000; // How long a vote stays open; missing ballots count as no
+
+// Seat swaps asked for in the waiting room, waiting for the other player's answer
+const SEAT_SWAP_TIMEOUT_MS = 30000;
+const pendingSeatSwaps = new Map(); // requestId -> { roomId, fromSeat, fromSocketId, toSeat, toSocketId, timer }
+
 /**
- * (ROUTINE) Creates the initial array of four player slots for the game.
+ * (ROUTINE) Creates the initial array of player slots for the game: four for
+ * partners, two or three for a boneyard game.
  */
-function createJugadores() {
-    return [
-        { name: "Jugador 1", assignedName: null, socketId: null, isConnected: false },
-        { name: "Jugador 2", assignedName: null, socketId: null, isConnected: false },
-        { name: "Jugador 3", assignedName: null, socketId: null, isConnected: false },
-        { name: "Jugador 4", assignedName: null, socketId: null, isConnected: false }
-    ];
+function createJugadores(count = 4) {
+    return rules.PLAYER_NAMES.slice(0, count).map(name => ({ name, assignedName: null, socketId: null, isConnected: false }));
 }
 
 /**
@@ -76,12 +167,54 @@ function createJugadores() {
  */
 function createGameRoom(roomId) {
     const jugadores = createJugadores();
-    const gameState = createNewGameState();
+    const gameState = rules.createGameState();
     return {
         roomId,
         jugadores,
         gameState,
-        targetScore: 70 // default, can be overwritten on join
+        targetScore: 70, // default, can be overwritten on join
+        replay: null, // recording of the round in progress
+        lastReplayId: null, // replay ID of the last finished round
+        hostName: null, // seat name of the host, who approves seat reclaims without a session token
+        lobbyReady: new Set(), // seat names that pressed Ready in the waiting room
+        botTimer: null, // pending bot move (not saved)
+        botFillTimer: null, // pending fill of the empty seats with bots (not saved)
+        seatTimers: {}, // seat name -> grace period of a disconnected player (not saved)
+        turnTimer: null, // pending timeout of the current turn (not saved)
+        turnTimerKey: null, // which turn the timer belongs to (not saved)
+        turnDeadline: null, // when the current turn runs out, in ms since the epoch (not saved)
+        spectators: [], // { socketId, displayName, avatar } of people watching (not saved)
+        queue: [], // socket IDs of spectators waiting for a seat, first in line first (not saved)
+        nextMatchTeams: null, // pairs for the next match after the queue rotated: the winners against the newcomers
+        vote: null, // open vote on a restart or early end of the match (not saved)
+        settings: {
+            fixedSeed: null, // practice seed: each round of the room is dealt from it and the round's number
+            fillWithBots: false, // bots take the seats nobody claimed
+            botLevels: {}, // seat name -> bot strategy level ('easy', 'medium', 'hard')
+            disconnectGraceSeconds: 60, // how long a dropped player's seat waits before a stand-in takes it (0 = forever)
+            turnSeconds: 0, // time each player gets per turn (0 = no turn clock)
+            spectatorChat: true, // spectators may write in the chat
+            isPrivate: false, // hidden from /active-rooms; joining needs the password or invite code
+            passwordHash: null, // 'salt:scrypt-hash' of the optional room password
+            inviteCode: null, // generated code that also opens a private room
+            voteRule: 'majority', // what passes a vote: 'majority' or 'unanimous' of the connected players
+            scoringMode: 'classic', // 'classic', or 'allFives': every multiple of 5 on the ends scores at once
+            fourWaySpinner: false, // the opening double also takes tiles on its top and bottom
+            tileSet: rules.DEFAULT_TILE_SET, // 'doubleSix', 'doubleNine' or 'doubleTwelve' (see rules.TILE_SETS)
+            playerCount: 4, // seats at the table: 4 play in pairs, 2 or 3 play a boneyard game each for themselves
+            individualScoring: false, // four players score each for themselves (cutthroat); always on with 2 or 3
+            playerTargetScore: 100, // what a player needs to win the match when scoring alone
+            capicuaBonus: 0, // points for going out with a tile that fits both ends (0 = no capicúa bonus)
+            paseCorridoBonus: 0, // points for making everyone else pass in a row (0 = no pase corrido bonus)
+            tranqueWinner: rules.DEFAULT_TRANQUE_WINNER, // who takes a blocked game (see rules.TRANQUE_WINNERS)
+            blockedGameScoring: 'losers', // a blocked game is worth the 'losers' pips, or 'allHands' left on the table
+            blockedGameTie: 'none', // a tied blocked game scores for 'none', or goes to the 'closer' who blocked it
+            scoringOptions: { ...rules.DEFAULT_SCORING_OPTIONS }, // how hands are counted: { roundTo: 0 | 5 | 10, countEverything }
+            openingRule: rules.DEFAULT_OPENING_RULE, // who opens each hand (see rules.OPENING_RULES)
+            partnershipPolicy: 'rotate', // 'rotate' partners every match, keep the 'fixed' pairs of the waiting room, or draw 'random' ones
+            locked: false, // the host closed the door: nobody new may join or watch
+            bannedNames: [] // display names the host kicked out
+        }
     };
 }
 
@@ -94,9 +227,9 @@ function findOrCreateRoom(playerName = null) {
     if (playerName) {
         for (let [roomId, room] of gameRooms) {
             const wasInThisRoom = room.jugadores.find(p => p.assignedName === playerName);
-            if (wasInThisRoom) {
+            if (wasInThisRoom && !room.settings.isPrivate) {
                 const connectedCount = room.jugadores.filter(p => p.isConnected).length;
-                if (connectedCount < 4) {
+                if (connectedCount < room.jugadores.length) {
                     console.log(`[ROOM PRIORITY] ${playerName} returning to previous room: ${roomId}`);
                     return room;
                 }
@@ -106,8 +239,7 @@ function findOrCreateRoom(playerName = null) {
     
     // Look for existing rooms with space
     for (let [roomId, room] of gameRooms) {
-        const connectedCount = room.jugadores.filter(p => p.isConnected).length;
-        if (connectedCount < 4) {
+        if (findOpenSeat(room) && !room.settings.isPrivate) {
             return room;
         }
     }
@@ -126,6 +258,45 @@ function findOrCreateRoom(playerName = null) {
     return newRoom;
 }
 
+/**
+ * (ROUTINE) Strips the socket-only fields from a room before it is written to disk.
+ */
+function serializeRoom(room) {
+    const { botTimer, botFillTimer, seatTimers, spectators, turnTimer, turnTimerKey, turnDeadline, vote, queue, ...savedRoom } = room;
+    return {
+        ...savedRoom,
+        jugadores: room.jugadores.map(({ socketId, isConnected, ...seat }) => seat)
+    };
+}
+
+/**
+ * (ROUTINE) Schedules a throttled snapshot of every room.
+ */
+function saveRooms() {
+    roomStore.scheduleSave(() => Array.from(gameRooms.values()).map(serializeRoom));
+}
+
+/**
+ * (ROUTINE) Reloads the rooms saved before the last shutdown or crash.
+ * Every seat starts disconnected; players reclaim them through setPlayerName.
+ */
+function restoreRooms() {
+    const savedRooms = roomStore.loadRooms();
+    savedRooms.forEach(saved => {
+        const defaults = createGameRoom(saved.roomId);
+        const room = { ...defaults, ...saved, settings: { ...defaults.settings, ...saved.settings } };
+        room.jugadores = room.jugadores.map(seat => ({ ...seat, socketId: null, isConnected: !!seat.isBot }));
+        room.gameState.readyPlayers = new Set();
+        gameRooms.set(room.roomId, room);
+
+        const autoRoomNumber = /^Sala-(\d+)$/.exec(room.roomId);
+        if (autoRoomNumber) nextRoomId = Math.max(nextRoomId, Number(autoRoomNumber[1]) + 1);
+    });
+    if (savedRooms.length > 0) {
+        console.log(`💾 Restored ${savedRooms.length} room(s) from the last snapshot`);
+    }
+}
+
 /**
  * (ROUTINE) Finds the room that contains a specific player by socketId
  */
@@ -140,359 +311,1150 @@ function findPlayerRoom(socketId) {
 }
 
 /**
- * (ROUTINE) Creates or resets the main game state object to its default values.
+ * (ROUTINE) Finds a seat a new player may take. Mid-round, a disconnected seat still
+ * holds its player's hand and stays reserved for them.
  */
-function createNewGameState() {
-    const initialStats = {
-        "Jugador 1": { matchesWon: 0 },
-        "Jugador 2": { matchesWon: 0 },
-        "Jugador 3": { matchesWon: 0 },
-        "Jugador 4": { matchesWon: 0 }
-    };
+function findOpenSeat(room) {
+    return room.jugadores.find(p => !p.isConnected && !(room.gameState.gameInitialized && p.assignedName));
+}
+
+/**
+ * (ROUTINE) Returns the connected host seat of a room, handing the role to the
+ * first connected player if the host has left.
+ */
+function getRoomHost(room) {
+    let host = room.jugadores.find(p => p.name === room.hostName && p.isConnected);
+    if (!host) {
+        host = room.jugadores.find(p => p.isConnected && !p.isBot) || null;
+        room.hostName = host ? host.name : null;
+    }
+    return host;
+}
+
+// =============================================================================
+// == PRIVATE ROOMS                                                           ==
+// =============================================================================
+
+/**
+ * (ROUTINE) Hashes a room password with a salt (scrypt), as 'salt:hash'.
+ */
+function hashRoomPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    return `${salt}:${crypto.scryptSync(password, salt, 32).toString('hex')}`;
+}
+
+/**
+ * (ROUTINE) Makes a room private. The invite code is always generated; the password is optional.
+ */
+function makeRoomPrivate(room, password) {
+    room.settings.isPrivate = true;
+    room.settings.inviteCode = crypto.randomBytes(4).toString('hex').toUpperCase();
+    room.settings.passwordHash = password ? hashRoomPassword(password) : null;
+    console.log(`[ROOM SYSTEM] ${room.roomId} is private${password ? ' with a password' : ''}.`);
+}
+
+/**
+ * (ROUTINE) Checks a secret typed by a visitor against a private room's invite code and password.
+ */
+function canEnterRoom(room, secret) {
+    if (!room.settings.isPrivate) return true;
+    if (typeof secret !== 'string' || !secret.trim()) return false;
+    const given = secret.trim();
+
+    if (room.settings.inviteCode && given.toUpperCase() === room.settings.inviteCode) return true;
+    if (room.settings.passwordHash) {
+        const [salt, hash] = room.settings.passwordHash.split(':');
+        const expected = Buffer.from(hash, 'hex');
+        const actual = Buffer.from(hashRoomPassword(given, salt).split(':')[1], 'hex');
+        return crypto.timingSafeEqual(expected, actual);
+    }
+    return false;
+}
+
+/**
+ * (ROUTINE) Sends a player of a private room its invite code, so they can bring others in.
+ */
+function sendPrivateRoomInfo(socket, room) {
+    if (!room.settings.isPrivate) return;
+    socket.emit('privateRoom', {
+        roomId: room.roomId,
+        inviteCode: room.settings.inviteCode,
+        hasPassword: !!room.settings.passwordHash
+    });
+}
+
+// =============================================================================
+// == SEAT SESSIONS                                                           ==
+// =============================================================================
+
+/**
+ * (ROUTINE) Puts a socket in a seat and sends it a fresh session token.
+ * Issuing a new session ID revokes any token previously given out for the seat.
+ */
+function assignSeat(socket, room, seat, displayName, avatarData) {
+    if (socket.spectatingRoomId) {
+        const watchedRoom = gameRooms.get(socket.spectatingRoomId);
+        if (watchedRoom) removeSpectator(watchedRoom, socket.id);
+        socket.spectatingRoomId = null;
+    }
+    seat.socketId = socket.id;
+    seat.isConnected = true;
+    seat.isBot = false;
+    seat.assignedName = displayName;
+    seat.avatar = avatarData;
+    seat.sessionId = sessionTokens.createSessionId();
+    room.lobbyReady.delete(seat.name); // Whoever sits down has to press Ready again
+    socket.jugadorName = seat.name;
+    socket.roomId = room.roomId;
+    socket.join(room.roomId);
+    getRoomHost(room);
+
+    const sessionToken = sessionTokens.sign({ roomId: room.roomId, seat: seat.name, sessionId: seat.sessionId });
+    socket.emit('playerAssigned', { name: seat.name, sessionToken });
+}
+
+/**
+ * (ROUTINE) Returns the display name of the player a seat belongs to, even while
+ * a stand-in is playing for them.
+ */
+function seatOwnerName(seat) {
+    return seat.absentPlayer ? seat.absentPlayer.assignedName : seat.assignedName;
+}
+
+/**
+ * (ROUTINE) Checks whether a seat's own player is away and may come back to it.
+ */
+function isSeatAwaitingOwner(seat) {
+    return !seat.isConnected || !!seat.absentPlayer;
+}
+
+/**
+ * (ROUTINE) Gives a seat back to its player, hand included. A bot standing in
+ * simply steps aside; a human substitute goes back to the waiting list.
+ */
+function reclaimSeat(socket, room, seat, avatarData) {
+    clearTimeout(room.seatTimers[seat.name]);
+    delete room.seatTimers[seat.name];
+
+    if (seat.absentPlayer) {
+        const owner = seat.absentPlayer;
+        const substitute = !seat.isBot && seat.socketId ? io.sockets.sockets.get(seat.socketId) : null;
+        if (substitute) {
+            substitute.jugadorName = null;
+            substitute.emit('playerHand', []);
+            addSpectator(substitute, room, seat.assignedName, seat.avatar, `${owner.assignedName} volvió a su asiento.`);
+        }
+        seat.absentPlayer = null;
+        seat.assignedName = owner.assignedName;
+        seat.avatar = owner.avatar;
+    }
+
+    assignSeat(socket, room, seat, seat.assignedName, avatarData || seat.avatar);
+    console.log(`[RECONNECT] ${seat.assignedName} reconnected to ${room.roomId} as ${seat.name}.`);
+    if (room.gameState.gameInitialized) {
+        io.to(socket.id).emit('playerHand', room.gameState.hands[seat.name]);
+    }
+    scheduleTurnTimer(room); // Not running after a restart, until someone is back
+    broadcastGameState(room);
+    scheduleBotTurn(room); // Bots wait while no one is connected
+    scheduleSeatReplacements(room); // Restart the clocks of anyone still missing
+}
+
+/**
+ * (ROUTINE) Finds the seat a session token was issued for, or null if the token is
+ * forged, revoked, or its player is already sitting in it.
+ */
+function findSeatForToken(sessionToken) {
+    const claim = sessionTokens.verify(sessionToken);
+    if (!claim) return null;
+    const room = gameRooms.get(claim.roomId);
+    if (!room) return null;
+    const seat = room.jugadores.find(p => p.name === claim.seat);
+    if (!seat || !isSeatAwaitingOwner(seat)) return null;
+    const ownerSessionId = seat.absentPlayer ? seat.absentPlayer.sessionId : seat.sessionId;
+    if (!ownerSessionId || ownerSessionId !== claim.sessionId) return null;
+    return { room, seat };
+}
+
+/**
+ * (ROUTINE) Asks the host of a room to let a player without a valid token back into
+ * the disconnected seat that carries their name.
+ */
+function requestSeatReclaim(socket, room, seat, avatarData) {
+    const host = getRoomHost(room);
+    if (!host) {
+        socket.emit('gameError', { message: `"${seatOwnerName(seat)}" is reserved in ${room.roomId} and there is no host to approve your return.` });
+        return;
+    }
+
+    const requestId = crypto.randomBytes(6).toString('hex');
+    const timer = setTimeout(() => {
+        pendingReclaims.delete(requestId);
+        io.to(socket.id).emit('gameError', { message: 'The host did not answer your request to return to your seat.' });
+    }, RECLAIM_REQUEST_TIMEOUT_MS);
+    pendingReclaims.set(requestId, { roomId: room.roomId, seatName: seat.name, socketId: socket.id, avatar: avatarData, timer });
+
+    io.to(host.socketId).emit('reclaimRequest', { requestId, displayName: seatOwnerName(seat), seatName: seat.name });
+    socket.emit('reclaimPending', { message: `Esperando que el anfitrión apruebe tu regreso a ${room.roomId}...` });
+    console.log(`[RECONNECT] ${seatOwnerName(seat)} asked the host of ${room.roomId} to reclaim ${seat.name} without a session token.`);
+}
+
+// =============================================================================
+// == RULES ENGINE BRIDGE                                                    ==
+// =============================================================================
 
+/**
+ * (ROUTINE) Builds the rule context (seats and room settings) for the rules engine.
+ */
+function getRuleContext(room) {
     return {
-        jugadoresInfo: [],
-        board: [],
-        currentTurn: null,
-        gameInitialized: false,
-        leftEnd: null,
-        rightEnd: null,
-        teamScores: { teamA: 0, teamB: 0 },
-        isFirstMove: true,
-        teams: { teamA: [], teamB: [] },
-        hands: {},
-        spinnerTile: null,
-        lastWinner: null,
-        isFirstRoundOfMatch: true,
-        readyPlayers: new Set(),
-        endRoundMessage: null,
-        matchNumber: 1,
-        playerStats: initialStats,
-        lastPlayedTile: null,
-        matchOver: false, // Explicitly track match-over state
-        endMatchMessage: null,
-        seating: [], // Added to manage dynamic turn order
-        isAfterTiedBlockedGame: false, // Flag for tied blocked game rule
-        isTiedBlockedGame: false, // Flag for display messages
-        gameBlocked: false // Flag to indicate blocked game state
+        players: room.jugadores.map(p => ({
+            name: p.name,
+            displayName: p.assignedName || p.name,
+            isConnected: p.isConnected
+        })),
+        targetScore: room.targetScore || 70,
+        partnershipPolicy: room.settings.partnershipPolicy,
+        matchTeams: room.nextMatchTeams,
+        scoringMode: room.settings.scoringMode,
+        fourWaySpinner: room.settings.fourWaySpinner,
+        tileSet: room.settings.tileSet,
+        individualScoring: room.settings.individualScoring,
+        playerTargetScore: room.settings.playerTargetScore,
+        capicuaBonus: room.settings.capicuaBonus,
+        paseCorridoBonus: room.settings.paseCorridoBonus,
+        tranqueWinner: room.settings.tranqueWinner,
+        blockedGameScoring: room.settings.blockedGameScoring,
+        blockedGameTie: room.settings.blockedGameTie,
+        scoringOptions: room.settings.scoringOptions,
+        openingRule: room.settings.openingRule,
+        dealSeed: crypto.randomInt(0, 2 ** 32),
+        fixedSeed: room.settings.fixedSeed
+    };
+}
+
+/**
+ * (ROUTINE) Broadcasts the current game state to ALL connected clients in a room.
+ */
+function broadcastGameState(room) {
+    const boneyardCount = (room.gameState.boneyard || []).length; // How many, never which
+    room.gameState.jugadoresInfo = room.jugadores.map(p => ({
+        name: p.name,
+        displayName: p.assignedName || p.name,
+        isConnected: p.isConnected,
+        isBot: !!p.isBot,
+        botLevel: p.isBot ? p.botLevel : null,
+        standingInFor: p.absentPlayer ? p.absentPlayer.assignedName : null,
+        tileCount: room.gameState.hands[p.name] ? room.gameState.hands[p.name].length : 0,
+        drawnCount: (room.gameState.roundMoves || []).filter(m => m.type === 'draw' && m.player === p.name).length, // taken from the boneyard this round
+        boneyardCount, // tiles left to draw, the same for every seat
+        avatar: p.avatar || { type: 'emoji', data: '👤' }
+    }));
+    const stateToSend = { ...room.gameState };
+    stateToSend.readyPlayers = Array.from(room.gameState.readyPlayers);
+    stateToSend.roomId = room.roomId; // Add room info
+    stateToSend.targetScore = room.targetScore || 70; // Always include targetScore
+    // The deal seed reveals every hand, so it is only sent once the round is over
+    if (stateToSend.gameInitialized) stateToSend.roundSeed = null;
+    stateToSend.lastReplayId = room.settings.isPrivate ? null : room.lastReplayId || null; // Private rooms' replays are not served
+    stateToSend.turnSeconds = room.settings.turnSeconds;
+    stateToSend.turnTimeLeft = room.turnDeadline ? Math.max(0, room.turnDeadline - Date.now()) : null; // Relative, so client clocks don't matter
+    stateToSend.hostName = room.hostName;
+    stateToSend.spectators = room.spectators.map(s => ({ displayName: s.displayName, avatar: s.avatar }));
+    stateToSend.queue = describeQueue(room);
+    stateToSend.spectatorChat = room.settings.spectatorChat;
+    stateToSend.locked = room.settings.locked;
+    stateToSend.canChangeSettings = isBeforeFirstRound(room); // The host may still change the rules
+    stateToSend.voteRule = room.settings.voteRule;
+    stateToSend.vote = describeVote(room);
+    stateToSend.partnershipPolicy = room.settings.partnershipPolicy;
+    stateToSend.scoringMode = room.settings.scoringMode; // Only changes before the first round, so it always matches the round's
+    stateToSend.fourWaySpinner = Boolean(room.settings.fourWaySpinner);
+    stateToSend.tileSet = room.settings.tileSet || rules.DEFAULT_TILE_SET;
+    stateToSend.playerCount = room.jugadores.length;
+    stateToSend.individualScoring = isIndividualGame(room);
+    stateToSend.playerTargetScore = room.settings.playerTargetScore;
+    stateToSend.capicuaBonus = room.settings.capicuaBonus;
+    stateToSend.paseCorridoBonus = room.settings.paseCorridoBonus;
+    stateToSend.tranqueWinner = room.settings.tranqueWinner;
+    stateToSend.blockedGameScoring = room.settings.blockedGameScoring;
+    stateToSend.blockedGameTie = room.settings.blockedGameTie;
+    stateToSend.scoringOptions = { ...room.settings.scoringOptions };
+    stateToSend.openingRule = room.settings.openingRule;
+    stateToSend.waitingRoom = describeWaitingRoom(room);
+    const { hands, boneyard, ...finalState } = stateToSend;
+
+    // Emit only to players and spectators in this room
+    emitToRoom(room, 'gameState', finalState);
+
+    // Every broadcast follows a state change, so it is also the snapshot trigger
+    saveRooms();
+}
+
+/**
+ * (ROUTINE) Emits an event to every connected player and spectator in a room.
+ */
+function emitToRoom(room, eventName, payload) {
+    room.jugadores.forEach(player => {
+        if (player.isConnected && player.socketId) {
+            io.to(player.socketId).emit(eventName, payload);
+        }
+    });
+    room.spectators.forEach(spectator => io.to(spectator.socketId).emit(eventName, payload));
+}
+
+/**
+ * (ROUTINE) Emits an event to a single player of a room, if connected.
+ */
+function emitToPlayer(room, playerName, eventName, payload) {
+    const player = room.jugadores.find(p => p.name === playerName);
+    if (player && player.isConnected && player.socketId) {
+        io.to(player.socketId).emit(eventName, payload);
+    }
+}
+
+/**
+ * (ROUTINE) Turns the events produced by the rules engine into socket emits and analytics calls.
+ */
+function dispatchRuleEvents(room, events) {
+    events.forEach(event => {
+        switch (event.type) {
+            case 'gameState':
+                broadcastGameState(room);
+                break;
+            case 'roundStarted':
+                console.log(`[DEAL] ${room.roomId} round dealt with seed ${event.seed}.`);
+                room.nextMatchTeams = null; // The match has its pairs now
+                room.replay = replays.createRecording(room.roomId, getRuleContext(room).players, event, room.settings.isPrivate);
+                break;
+            case 'roundEnded':
+                if (room.replay) {
+                    room.lastReplayId = room.replay.id;
+                    replays.saveRecording(room.replay, {
+                        winner: event.winner,
+                        blocked: event.blocked,
+                        message: event.message,
+                        teamScores: event.teamScores,
+                        hands: event.hands
+                    }).catch(err => console.error('Replay save error:', err));
+                    room.replay = null;
+                }
+                break;
+            case 'playerHand':
+                emitToPlayer(room, event.to, 'playerHand', event.hand);
+                break;
+            case 'gameError':
+                emitToPlayer(room, event.to, 'gameError', { message: event.message });
+                break;
+            case 'moveSuccess':
+                emitToPlayer(room, event.to, 'moveSuccess', { tile: event.tile });
+                break;
+            case 'tilePlaced':
+                emitToRoom(room, 'tilePlaced', { playerName: event.playerName, tile: event.tile });
+                if (room.replay) {
+                    replays.recordMove(room.replay, { type: 'play', player: event.playerName, tile: event.tile, position: event.position });
+                }
+                analytics.trackTilePlaced(room.roomId, event.playerName, event.tile, event.position).catch(err =>
+                    console.error('Analytics tile placed error:', err)
+                );
+                break;
+            case 'tileDrawn':
+                emitToRoom(room, 'playerDrew', { playerName: event.playerName, boneyardCount: event.boneyardCount });
+                if (room.replay) {
+                    replays.recordMove(room.replay, { type: 'draw', player: event.playerName, tile: event.tile });
+                }
+                break;
+            case 'moveScored':
+                emitToRoom(room, 'moveScored', { playerName: event.playerName, displayName: event.displayName, team: event.team, points: event.points, bonus: event.bonus });
+                break;
+            case 'playerPassed':
+                emitToRoom(room, 'playerPassed', { playerName: event.playerName });
+                if (room.replay) {
+                    replays.recordMove(room.replay, { type: 'pass', player: event.playerName });
+                }
+                break;
+            case 'playerWonHand':
+                emitToRoom(room, 'playerWonHand', { playerName: event.playerName, displayName: event.displayName, points: event.points });
+                break;
+            case 'matchOver': {
+                // Track match completion for analytics
+                const matchStats = {
+                    duration: Date.now() - (room.gameCreatedAt || Date.now()),
+                    totalMoves: 0, // Could track this separately if needed
+                    playerCount: event.playerCount
+                };
+                analytics.trackGameEnd(room.roomId, event.winningTeamName, matchStats).catch(err =>
+                    console.error('Analytics game end error:', err)
+                );
+                rotateLosingPair(room, event.winningTeam);
+                break;
+            }
+        }
+    });
+}
+
+/**
+ * (ROUTINE) Stores the state returned by a rules transition and dispatches its events.
+ */
+function commitTransition(room, { state, events }) {
+    room.gameState = state;
+    scheduleTurnTimer(room); // Before the events, so the gameState broadcast carries the new clock
+    dispatchRuleEvents(room, events);
+    scheduleBotTurn(room);
+}
+
+/**
+ * (ROUTINE) Deals and starts a new round in a room.
+ */
+function initializeRound(room) {
+    commitTransition(room, rules.startRound(room.gameState, getRuleContext(room)));
+}
+
+/**
+ * (ROUTINE) Applies a player action ('play', 'pass', 'ready') to a room's game.
+ */
+function applyRoomAction(room, action) {
+    commitTransition(room, rules.applyAction(room.gameState, action, getRuleContext(room)));
+}
+
+
+// =============================================================================
+// == BOTS                                                                    ==
+// =============================================================================
+
+/**
+ * (ROUTINE) Counts the people (not bots) connected to a room.
+ */
+function countHumans(room) {
+    return room.jugadores.filter(p => p.isConnected && !p.isBot).length;
+}
+
+/**
+ * (ROUTINE) Seats a bot in an empty slot, with the strategy level chosen for that seat.
+ */
+function seatBot(room, seat) {
+    seat.socketId = null;
+    seat.isConnected = true;
+    seat.isBot = true;
+    seat.botLevel = bots.normalizeLevel(room.settings.botLevels[seat.name]);
+    seat.assignedName = `Bot ${seat.name.slice(-1)}`;
+    seat.avatar = { type: 'emoji', data: '🤖' };
+    seat.sessionId = null;
+    console.log(`[BOTS] ${seat.assignedName} (${seat.botLevel}) took ${seat.name} in ${room.roomId}.`);
+}
+
+/**
+ * (ROUTINE) Fills every open seat of a room with a bot. Bots are always ready,
+ * so a table of bots and ready players only waits for the host to start.
+ */
+function fillSeatsWithBots(room) {
+    clearTimeout(room.botFillTimer);
+    room.botFillTimer = null;
+
+    let seat;
+    while ((seat = findOpenSeat(room))) seatBot(room, seat);
+    broadcastGameState(room);
+}
+
+/**
+ * (ROUTINE) Gives other players a moment to join, then fills the rest of the table with bots.
+ */
+function scheduleBotFill(room) {
+    if (!room.settings.fillWithBots || room.botFillTimer || !findOpenSeat(room)) return;
+    room.botFillTimer = setTimeout(() => {
+        room.botFillTimer = null;
+        if (gameRooms.get(room.roomId) === room && countHumans(room) > 0) fillSeatsWithBots(room);
+    }, BOT_FILL_DELAY_MS);
+}
+
+/**
+ * (ROUTINE) Picks the next bot action: a move on a bot's turn, or a bot
+ * confirming the next round. Returns null when no bot has anything to do.
+ */
+function nextBotAction(room) {
+    const state = room.gameState;
+    if (state.gameInitialized) {
+        const seat = room.jugadores.find(p => p.name === state.currentTurn);
+        return seat && seat.isBot ? bots.chooseAction(state, seat.name, seat.botLevel) : null;
+    }
+    if (state.endRoundMessage) {
+        const seat = room.jugadores.find(p => p.isBot && !state.readyPlayers.has(p.name));
+        return seat ? { type: 'ready', player: seat.name } : null;
+    }
+    return null;
+}
+
+/**
+ * (ROUTINE) Lets the next bot act after a short delay. Every bot action is a
+ * rules transition, which schedules the one after it.
+ */
+function scheduleBotTurn(room) {
+    if (room.botTimer || countHumans(room) === 0 || !nextBotAction(room)) return;
+    room.botTimer = setTimeout(() => {
+        room.botTimer = null;
+        if (gameRooms.get(room.roomId) !== room || countHumans(room) === 0) return;
+        const action = nextBotAction(room); // The state may have moved on while we waited
+        if (action) applyRoomAction(room, action);
+    }, BOT_MOVE_DELAY_MS);
+}
+
+
+// =============================================================================
+// == TURN TIMER                                                              ==
+// =============================================================================
+
+/**
+ * (ROUTINE) Stops the turn clock of a room.
+ */
+function clearTurnTimer(room) {
+    clearTimeout(room.turnTimer);
+    room.turnTimer = null;
+    room.turnTimerKey = null;
+    room.turnDeadline = null;
+}
+
+/**
+ * (ROUTINE) Starts the clock of the player whose turn it is, unless it is already
+ * running for this very turn. Bots and rooms without a turn clock get none.
+ */
+function scheduleTurnTimer(room) {
+    const state = room.gameState;
+    const seat = room.jugadores.find(p => p.name === state.currentTurn);
+    if (!state.gameInitialized || !room.settings.turnSeconds || !seat || seat.isBot) {
+        clearTurnTimer(room);
+        return;
+    }
+
+    // A rejected move leaves the turn unchanged and must not reset the clock
+    const turnKey = `${state.currentTurn}:${(state.roundMoves || []).length}`;
+    if (room.turnTimer && room.turnTimerKey === turnKey) return;
+
+    clearTurnTimer(room);
+    room.turnTimerKey = turnKey;
+    room.turnDeadline = Date.now() + room.settings.turnSeconds * 1000;
+    room.turnTimer = setTimeout(() => {
+        room.turnTimer = null;
+        if (gameRooms.get(room.roomId) !== room || room.turnTimerKey !== turnKey) return;
+        forceTimedOutTurn(room);
+    }, room.settings.turnSeconds * 1000);
+}
+
+/**
+ * (ROUTINE) Moves for a player who ran out of time: in a boneyard game they
+ * first draw until something fits, then they pass if they still cannot play,
+ * otherwise they play the first legal tile in their hand.
+ */
+function forceTimedOutTurn(room) {
+    const playerName = room.gameState.currentTurn;
+    const seat = room.jugadores.find(p => p.name === playerName);
+    console.log(`[TURN TIMER] ${seat ? seat.assignedName : playerName} ran out of time in ${room.roomId}.`);
+    emitToRoom(room, 'turnTimedOut', { playerName, displayName: seat ? seat.assignedName : playerName });
+
+    while (rules.canDraw(room.gameState, playerName)) {
+        applyRoomAction(room, { type: 'draw', player: playerName });
+    }
+    const state = room.gameState;
+
+    if (!rules.hasValidMove(state, playerName)) {
+        applyRoomAction(room, { type: 'pass', player: playerName });
+        return;
+    }
+    const move = rules.listValidMoves(state, playerName)[0];
+    applyRoomAction(room, { type: 'play', player: playerName, tile: move.tile, position: move.position });
+}
+
+
+// =============================================================================
+// == STAND-INS FOR DISCONNECTED PLAYERS                                      ==
+// =============================================================================
+// Scores and playerStats are kept per seat ("Jugador 2"), so whoever stands in
+// plays for the seat's team and the points stay where they were earned.
+
+/**
+ * (ROUTINE) Checks whether a room is in the middle of a match (playing, or between rounds).
+ */
+function isMatchInProgress(room) {
+    return room.gameState.gameInitialized || !!room.gameState.endRoundMessage;
+}
+
+/**
+ * (ROUTINE) Starts the grace period of every player missing from a match in progress.
+ */
+function scheduleSeatReplacements(room) {
+    const graceSeconds = room.settings.disconnectGraceSeconds;
+    if (!graceSeconds || !isMatchInProgress(room)) return;
+
+    room.jugadores.forEach(seat => {
+        if (seat.isConnected || !seat.assignedName || room.seatTimers[seat.name]) return;
+        room.seatTimers[seat.name] = setTimeout(() => {
+            delete room.seatTimers[seat.name];
+            if (gameRooms.get(room.roomId) !== room || seat.isConnected || countHumans(room) === 0 || !isMatchInProgress(room)) return;
+            replaceWithStandIn(room, seat);
+        }, graceSeconds * 1000);
+    });
+}
+
+/**
+ * (ROUTINE) Hands a disconnected player's seat, and hand, to a bot until they come
+ * back, and offers it to the spectators.
+ */
+function replaceWithStandIn(room, seat) {
+    // A substitute who drops out is not the owner: keep the original player's claim
+    if (!seat.absentPlayer) {
+        seat.absentPlayer = { assignedName: seat.assignedName, avatar: seat.avatar, sessionId: seat.sessionId };
+    }
+    seatBot(room, seat);
+    console.log(`[STAND-IN] ${seat.assignedName} is playing for ${seat.absentPlayer.assignedName} in ${room.roomId}.`);
+
+    room.spectators.forEach(spectator => offerSeat(room, seat, spectator.socketId));
+    broadcastGameState(room);
+    scheduleBotTurn(room);
+}
+
+/**
+ * (ROUTINE) Offers a spectator the seat a bot is keeping for an absent player.
+ */
+function offerSeat(room, seat, socketId) {
+    io.to(socketId).emit('seatOffer', { roomId: room.roomId, seatName: seat.name, displayName: seat.absentPlayer.assignedName });
+}
+
+
+// =============================================================================
+// == SPECTATORS                                                              ==
+// =============================================================================
+
+/**
+ * (ROUTINE) Lets a socket watch a room: it gets the broadcasts and the chat, never a hand,
+ * and is offered any seat a bot is keeping for an absent player.
+ */
+function addSpectator(socket, room, displayName, avatarData, message) {
+    room.spectators = room.spectators.filter(s => s.socketId !== socket.id);
+    room.spectators.push({ socketId: socket.id, displayName, avatar: avatarData });
+    socket.spectatingRoomId = room.roomId;
+    socket.emit('spectating', { roomId: room.roomId, displayName, message });
+    console.log(`[SPECTATOR] ${displayName} is watching ${room.roomId}.`);
+
+    room.jugadores.filter(p => p.isBot && p.absentPlayer).forEach(seat => offerSeat(room, seat, socket.id));
+    broadcastGameState(room);
+}
+
+/**
+ * (ROUTINE) Removes a socket from a room's spectators, and from the queue.
+ */
+function removeSpectator(room, socketId) {
+    room.spectators = room.spectators.filter(s => s.socketId !== socketId);
+    room.queue = room.queue.filter(id => id !== socketId);
+}
+
+/**
+ * (ROUTINE) Finds the spectator entry and room of a socket, or null.
+ */
+function findSpectator(socket) {
+    const room = gameRooms.get(socket.spectatingRoomId);
+    const spectator = room && room.spectators.find(s => s.socketId === socket.id);
+    return spectator ? { room, spectator } : null;
+}
+
+
+// =============================================================================
+// == WINNERS STAY QUEUE                                                      ==
+// =============================================================================
+// "La que pierde sale": spectators can get in line for the table. When a match
+// ends and two of them are waiting, the losing pair gives up its seats to the
+// first two in line and goes to the back of the queue.
+
+/**
+ * (ROUTINE) Lists the queue for the game state and the lobby, first in line first.
+ */
+function describeQueue(room) {
+    return room.queue
+        .map(socketId => room.spectators.find(s => s.socketId === socketId))
+        .filter(Boolean)
+        .map(s => s.displayName);
+}
+
+/**
+ * (ROUTINE) Sends the losing pair of a finished match to the back of the queue
+ * and seats the next two in line. Does nothing until two people are waiting,
+ * or in games without teams.
+ */
+function rotateLosingPair(room, winningTeamKey) {
+    if (!winningTeamKey) return;
+    const losingTeamKey = winningTeamKey === 'teamA' ? 'teamB' : 'teamA';
+    const newcomers = room.queue
+        .map(socketId => ({ socket: io.sockets.sockets.get(socketId), spectator: room.spectators.find(s => s.socketId === socketId) }))
+        .filter(entry => entry.socket && entry.spectator)
+        .slice(0, 2);
+    if (newcomers.length < 2) return;
+
+    const losingSeats = room.gameState.teams[losingTeamKey].map(name => room.jugadores.find(p => p.name === name));
+    if (losingSeats.some(seat => seat.name === room.hostName)) {
+        // The host role stays at the table with the winners, not with whoever takes the host's seat
+        const winner = room.jugadores.find(p => room.gameState.teams[winningTeamKey].includes(p.name) && p.isConnected && !p.isBot);
+        room.hostName = winner ? winner.name : null;
+    }
+    const leaving = [];
+    losingSeats.forEach((seat, index) => {
+        const loserSocket = !seat.isBot && seat.socketId ? io.sockets.sockets.get(seat.socketId) : null;
+        const loser = { socket: loserSocket, displayName: seat.assignedName, avatar: seat.avatar };
+        leaving.push(loser.displayName);
+
+        clearTimeout(room.seatTimers[seat.name]);
+        delete room.seatTimers[seat.name];
+        seat.absentPlayer = null; // An absent owner loses the seat along with their partner
+        room.gameState.readyPlayers.delete(seat.name);
+        room.gameState.playerStats[seat.name] = { matchesWon: 0 }; // The seat's record starts over with its new player
+
+        const { socket, spectator } = newcomers[index];
+        assignSeat(socket, room, seat, spectator.displayName, spectator.avatar);
+
+        if (loser.socket) {
+            loser.socket.jugadorName = null;
+            loser.socket.emit('playerHand', []);
+            room.queue.push(loser.socket.id);
+            addSpectator(loser.socket, room, loser.displayName, loser.avatar, 'Perdieron el match: están al final de la fila.');
+        }
+    });
+
+    // The winners stay partners and the newcomers sit down together against them
+    room.nextMatchTeams = {
+        teamA: [...room.gameState.teams[winningTeamKey]],
+        teamB: [...room.gameState.teams[losingTeamKey]]
     };
+
+    const entering = newcomers.map(entry => entry.spectator.displayName);
+    console.log(`[QUEUE] ${leaving.join(' & ')} gave their seats in ${room.roomId} to ${entering.join(' & ')}.`);
+    emitToRoom(room, 'roomNotice', { message: `🔁 La que pierde sale: ${leaving.join(' y ')} salen, entran ${entering.join(' y ')}.` });
+}
+
+
+// =============================================================================
+// == ROOM HOST                                                               ==
+// =============================================================================
+// The player who creates a room is its host (getRoomHost hands the role on if
+// they leave). The host can kick players, lock the room, pass the role on, and
+// change the room settings until the first round is dealt.
+
+/**
+ * (ROUTINE) Returns the room hosted by a socket, or null if it is not a host.
+ */
+function findHostedRoom(socket) {
+    const room = findPlayerRoom(socket.id);
+    if (!room) return null;
+    const host = getRoomHost(room);
+    return host && host.socketId === socket.id ? room : null;
+}
+
+/**
+ * (ROUTINE) Checks whether the first round of the match has not been dealt yet.
+ */
+function isBeforeFirstRound(room) {
+    const state = room.gameState;
+    return !isMatchInProgress(room) && !state.matchOver && state.matchNumber === 1 && state.isFirstRoundOfMatch;
+}
+
+/**
+ * (ROUTINE) Adds or removes seats before the first round. Bots in removed seats
+ * leave with them; a seat with a player in it is never removed, so the
+ * table keeps its size and false is returned.
+ */
+function resizeTable(room, count) {
+    const removed = room.jugadores.slice(count);
+    if (removed.some(seat => seat.isConnected && !seat.isBot)) return false;
+
+    removed.forEach(seat => room.lobbyReady.delete(seat.name));
+    room.jugadores = count < room.jugadores.length
+        ? room.jugadores.slice(0, count)
+        : [...room.jugadores, ...createJugadores(count).slice(room.jugadores.length)];
+    room.settings.playerCount = count;
+    return true;
+}
+
+/**
+ * (ROUTINE) Applies the room settings chosen by the creator in the lobby, or by
+ * the host before the first round. Missing or out-of-range values are left alone.
+ */
+function applyRoomSettings(room, options) {
+    const targetScore = parseInt(options.targetScore, 10);
+    if (targetScore > 0 && targetScore <= 500) {
+        room.targetScore = targetScore;
+    }
+
+    // The practice seed: each round of the room is dealt from it and the round's number
+    if (options.seed !== undefined) {
+        room.settings.fixedSeed = rules.normalizeSeed(options.seed);
+        if (room.settings.fixedSeed !== null) {
+            console.log(`[ROOM SYSTEM] ${room.roomId} will deal its rounds from fixed seed ${room.settings.fixedSeed}.`);
+        }
+    }
+
+    // How long a dropped player's seat is held before a stand-in takes it
+    const graceSeconds = parseInt(options.disconnectGraceSeconds, 10);
+    if (graceSeconds >= 0 && graceSeconds <= 600) {
+        room.settings.disconnectGraceSeconds = graceSeconds;
+    }
+
+    // The turn clock
+    const turnSeconds = parseInt(options.turnSeconds, 10);
+    if (turnSeconds >= 0 && turnSeconds <= 300) {
+        room.settings.turnSeconds = turnSeconds;
+    }
+
+    // How points are made
+    if (['classic', 'allFives'].includes(options.scoringMode)) {
+        room.settings.scoringMode = options.scoringMode;
+    }
+
+    // How many seats the table has
+    const playerCount = parseInt(options.playerCount, 10);
+    if ([2, 3, 4].includes(playerCount)) {
+        resizeTable(room, playerCount);
+    }
+
+    // Everyone for themselves, and the score that wins then
+    if (typeof options.individualScoring === 'boolean') {
+        room.settings.individualScoring = options.individualScoring;
+    }
+    const playerTargetScore = parseInt(options.playerTargetScore, 10);
+    if (playerTargetScore > 0 && playerTargetScore <= 500) {
+        room.settings.playerTargetScore = playerTargetScore;
+    }
+
+    // Latin house bonuses, and who takes a tranque
+    ['capicuaBonus', 'paseCorridoBonus'].forEach(key => {
+        const points = parseInt(options[key], 10);
+        if (points >= 0 && points <= 200) {
+            room.settings[key] = points;
+        }
+    });
+    if (Object.prototype.hasOwnProperty.call(rules.TRANQUE_WINNERS, options.tranqueWinner)) {
+        room.settings.tranqueWinner = options.tranqueWinner;
+    }
+
+    // What a blocked game is worth, and who takes a tied one
+    if (['losers', 'allHands'].includes(options.blockedGameScoring)) {
+        room.settings.blockedGameScoring = options.blockedGameScoring;
+    }
+    if (['none', 'closer'].includes(options.blockedGameTie)) {
+        room.settings.blockedGameTie = options.blockedGameTie;
+    }
+
+    // How the hands left at the end of a round are counted
+    if (options.scoringOptions && typeof options.scoringOptions === 'object') {
+        const roundTo = parseInt(options.scoringOptions.roundTo, 10);
+        if ([0, 5, 10].includes(roundTo)) {
+            room.settings.scoringOptions.roundTo = roundTo;
+        }
+        if (typeof options.scoringOptions.countEverything === 'boolean') {
+            room.settings.scoringOptions.countEverything = options.scoringOptions.countEverything;
+        }
+    }
+
+    // Who opens each hand
+    if (rules.OPENING_RULES.includes(options.openingRule)) {
+        room.settings.openingRule = options.openingRule;
+    }
+
+    // Which tile set is dealt
+    if (Object.prototype.hasOwnProperty.call(rules.TILE_SETS, options.tileSet)) {
+        room.settings.tileSet = options.tileSet;
+    }
+
+    // Whether the opening double also plays up and down
+    if (typeof options.fourWaySpinner === 'boolean') {
+        room.settings.fourWaySpinner = options.fourWaySpinner;
+    }
+
+    // Whether partners rotate every match, stay as seated, or are drawn at random
+    if (['rotate', 'fixed', 'random'].includes(options.partnershipPolicy)) {
+        room.settings.partnershipPolicy = options.partnershipPolicy;
+    }
+
+    // What it takes to pass a restart or early end of the match
+    if (['majority', 'unanimous'].includes(options.voteRule)) {
+        room.settings.voteRule = options.voteRule;
+    }
+
+    // Whether bots fill the seats nobody else takes, and how well each one plays
+    if (options.fillWithBots !== undefined) {
+        room.settings.fillWithBots = !!options.fillWithBots;
+    }
+    if (options.botLevels && typeof options.botLevels === 'object') {
+        room.settings.botLevels = {};
+        room.jugadores.forEach(seat => {
+            if (options.botLevels[seat.name]) {
+                room.settings.botLevels[seat.name] = bots.normalizeLevel(options.botLevels[seat.name]);
+            }
+        });
+    }
+}
+
+/**
+ * (ROUTINE) Removes a player from a room for good: their token stops working and
+ * their name is refused at the door. Mid-match a bot keeps the seat's hand.
+ */
+function kickSeat(room, seat) {
+    const kickedName = seat.assignedName;
+    const kickedSocket = !seat.isBot && seat.socketId ? io.sockets.sockets.get(seat.socketId) : null;
+
+    clearTimeout(room.seatTimers[seat.name]);
+    delete room.seatTimers[seat.name];
+    room.gameState.readyPlayers.delete(seat.name);
+    room.lobbyReady.delete(seat.name);
+    if (!room.settings.bannedNames.includes(kickedName.trim())) {
+        room.settings.bannedNames.push(kickedName.trim());
+    }
+
+    if (isMatchInProgress(room)) {
+        seatBot(room, seat); // Still stands in for the seat's owner if the kicked player was a substitute
+    } else {
+        seat.socketId = null;
+        seat.isConnected = false;
+        seat.assignedName = null;
+        seat.avatar = null;
+        seat.sessionId = null;
+        seat.absentPlayer = null;
+    }
+
+    if (kickedSocket) {
+        kickedSocket.jugadorName = null;
+        kickedSocket.emit('kicked', { message: `El anfitrión te expulsó de ${room.roomId}.` });
+        kickedSocket.disconnect(true);
+    }
+    console.log(`[HOST] ${kickedName} was kicked from ${room.roomId}.`);
+    emitToRoom(room, 'roomNotice', { message: `👑 ${kickedName} fue expulsado por el anfitrión.` });
 }
 
 
 // =============================================================================
-// == CORE GAME UTILITY FUNCTIONS                                             ==
+// == WAITING ROOM                                                            ==
 // =============================================================================
+// Before the first round the table is a waiting room: players pick their seats
+// (and with them their partners), press Ready, and the host deals once all four
+// are. Seats 1 and 2 play against 3 and 4 in the first match, unless partners
+// are drawn at random.
+
+/**
+ * (ROUTINE) Checks whether a seat is ready to play. Bots always are.
+ */
+function isSeatReady(room, seat) {
+    return seat.isConnected && (seat.isBot || room.lobbyReady.has(seat.name));
+}
 
 /**
- * (ROUTINE) Generates a standard 28-tile set of dominoes.
+ * (ROUTINE) Checks whether the players of a room score each for themselves.
  */
-function generateDominoes() {
-    const d = [];
-    for (let i = 0; i <= 6; i++) { for (let j = i; j <= 6; j++) d.push({ left: i, right: j }); }
-    return d;
+function isIndividualGame(room) {
+    return !!room.settings.individualScoring || room.jugadores.length < 4;
 }
 
 /**
- * (ROUTINE) Shuffles an array in place.
+ * (ROUTINE) Checks whether the host may deal: every seat taken, all ready.
  */
-function shuffleArray(array) {
-    for (let i = array.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [array[i], array[j]] = [array[j], array[i]];
-    }
+function canStartGame(room) {
+    return isBeforeFirstRound(room) && room.jugadores.every(seat => isSeatReady(room, seat));
 }
 
 /**
- * (ROUTINE) Calculates the total pip value of a player's hand.
+ * (ROUTINE) Describes the waiting room for the game state, or null once the game is on.
  */
-function calculateHandValue(hand) {
-    if (!hand || hand.length === 0) return 0;
-    return hand.reduce((sum, tile) => sum + tile.left + tile.right, 0);
+function describeWaitingRoom(room) {
+    if (!isBeforeFirstRound(room)) return null;
+    return {
+        teams: room.settings.partnershipPolicy === 'random' || isIndividualGame(room) ? null : rules.teamsForMatch(1, room.settings.partnershipPolicy),
+        ready: room.jugadores.filter(seat => isSeatReady(room, seat)).map(seat => seat.name),
+        canStart: canStartGame(room)
+    };
 }
 
 /**
- * (ROUTINE) Finds the player who has the double 6 tile.
+ * (ROUTINE) Swaps whoever sits in two seats (an empty seat is fine). Players who
+ * moved get a token for their new seat; the host role follows the host.
  */
-function findDouble6Holder(room) {
-    const connectedPlayers = room.jugadores.filter(p => p.isConnected);
-    for (let player of connectedPlayers) {
-        const hand = room.gameState.hands[player.name];
-        if (hand && hand.some(tile => tile.left === 6 && tile.right === 6)) {
-            return player.name;
-        }
+function swapSeats(room, seatA, seatB) {
+    ['assignedName', 'socketId', 'isConnected', 'avatar', 'sessionId', 'isBot', 'botLevel'].forEach(field => {
+        [seatA[field], seatB[field]] = [seatB[field], seatA[field]];
+    });
+    room.lobbyReady.delete(seatA.name);
+    room.lobbyReady.delete(seatB.name);
+    if (room.hostName === seatA.name) {
+        room.hostName = seatB.name;
+    } else if (room.hostName === seatB.name) {
+        room.hostName = seatA.name;
     }
-    return null;
+
+    [seatA, seatB].forEach(seat => {
+        const socket = !seat.isBot && seat.socketId ? io.sockets.sockets.get(seat.socketId) : null;
+        if (socket) assignSeat(socket, room, seat, seat.assignedName, seat.avatar);
+    });
+    console.log(`[WAITING ROOM] ${seatA.name} and ${seatB.name} swapped places in ${room.roomId}.`);
+    broadcastGameState(room);
 }
 
 /**
- * (ROUTINE) Broadcasts the current game state to ALL connected clients in a room.
+ * (ROUTINE) Moves a player to another seat. An empty or bot seat is taken at once;
+ * a seated player is asked first.
  */
-function broadcastGameState(room) {
-    room.gameState.jugadoresInfo = room.jugadores.map(p => ({
-        name: p.name,
-        displayName: p.assignedName || p.name,
-        isConnected: p.isConnected,
-        tileCount: room.gameState.hands[p.name] ? room.gameState.hands[p.name].length : 0,
-        avatar: p.avatar || { type: 'emoji', data: '👤' }
-    }));
-    const stateToSend = { ...room.gameState };
-    stateToSend.readyPlayers = Array.from(room.gameState.readyPlayers);
-    stateToSend.roomId = room.roomId; // Add room info
-    stateToSend.targetScore = room.targetScore || 70; // Always include targetScore
-    const { hands, ...finalState } = stateToSend;
+function requestSeatChange(socket, room, seat, targetSeat) {
+    if (!targetSeat.isConnected || targetSeat.isBot) {
+        swapSeats(room, seat, targetSeat);
+        return;
+    }
 
-    // Emit only to players in this room
-    room.jugadores.forEach(player => {
-        if (player.isConnected && player.socketId) {
-            io.to(player.socketId).emit('gameState', finalState);
-        }
+    const requestId = crypto.randomBytes(6).toString('hex');
+    const timer = setTimeout(() => pendingSeatSwaps.delete(requestId), SEAT_SWAP_TIMEOUT_MS);
+    pendingSeatSwaps.set(requestId, {
+        roomId: room.roomId,
+        fromSeat: seat.name,
+        fromSocketId: socket.id,
+        toSeat: targetSeat.name,
+        toSocketId: targetSeat.socketId,
+        timer
     });
+    io.to(targetSeat.socketId).emit('seatSwapRequest', { requestId, displayName: seat.assignedName, seatName: seat.name });
+    socket.emit('roomNotice', { message: `🪑 Le pediste a ${targetSeat.assignedName} cambiar de asiento.` });
 }
 
+
 // =============================================================================
-// == CORE GAME LOGIC FUNCTIONS                                               ==
+// == VOTES                                                                   ==
 // =============================================================================
+// Actions that throw away everyone's game (a restart, ending the match early)
+// are put to a vote of the connected players. Bots do not vote.
+
+const VOTE_ACTIONS = {
+    restart: {
+        label: 'reiniciar el juego',
+        isAllowed: () => true,
+        run: (room, vote) => restartRoomGame(room, vote.requestedBy)
+    },
+    endMatch: {
+        label: 'terminar el match',
+        isAllowed: room => isMatchInProgress(room) && !room.gameState.matchOver,
+        run: room => {
+            room.replay = null; // The unfinished round is not kept as a replay
+            applyRoomAction(room, { type: 'endMatch' });
+        }
+    }
+};
 
 /**
- * (ROUTINE) Deals 7 dominoes to each connected player.
+ * (ROUTINE) Wipes scores and stats and starts over with the players at the table.
  */
-function dealHands(room) {
-    let dominoesPool = generateDominoes();
-    shuffleArray(dominoesPool);
+function restartRoomGame(room, restartedBy) {
+    console.log(`[RESTART GAME] ${restartedBy} restarted the game in ${room.roomId}.`);
+
+    // Reset all game state while keeping connected players
     const connectedPlayers = room.jugadores.filter(p => p.isConnected);
-    connectedPlayers.forEach(player => {
-        room.gameState.hands[player.name] = dominoesPool.splice(0, 7);
-        if (player.socketId) {
-            io.to(player.socketId).emit('playerHand', room.gameState.hands[player.name]);
-        }
+
+    // Create fresh game state (the unfinished round is not kept as a replay)
+    room.gameState = rules.createGameState();
+    room.replay = null;
+    clearTurnTimer(room);
+
+    connectedPlayers.forEach(p => {
+        room.gameState.playerStats[p.name] = { matchesWon: 0 };
+    });
+    room.lobbyReady.clear(); // Back to the waiting room
+
+    // Broadcast restart message to room
+    emitToRoom(room, 'gameRestarted', {
+        message: `${restartedBy} reinició el juego`,
+        restartedBy
     });
+
+    // Broadcast fresh game state
+    broadcastGameState(room);
 }
 
 /**
- * (ROUTINE) Checks if a player has any valid moves in their hand.
+ * (ROUTINE) Returns the seat names still allowed to vote: the connected human
+ * players who were at the table when the vote opened.
  */
-function hasValidMove(room, playerName) {
-    const hand = room.gameState.hands[playerName];
-    if (!hand) return false;
-    if (room.gameState.isFirstMove) {
-        if (room.gameState.isFirstRoundOfMatch) {
-            // First round of match: must have double 6
-            return hand.some(t => t.left === 6 && t.right === 6);
-        } else if (room.gameState.isAfterTiedBlockedGame) {
-            // After tied blocked game: player with double 6 can play any tile
-            return hand.length > 0;
-        } else {
-            // Regular first move: any tile is valid
-            return true;
-        }
-    }
-    return hand.some(t => t.left === room.gameState.leftEnd || t.right === room.gameState.leftEnd || t.left === room.gameState.rightEnd || t.right === room.gameState.rightEnd);
+function currentVoters(room) {
+    return room.vote.voters.filter(name => room.jugadores.some(p => p.name === name && p.isConnected && !p.isBot));
 }
 
 /**
- * (ROUTINE) Advances the turn to the next player based on dynamic seating.
+ * (ROUTINE) Describes the open vote for the game state, or null.
  */
-function nextTurn(room) {
-    if (!room.gameState.currentTurn || !room.gameState.seating || room.gameState.seating.length === 0) return;
-    const currentIndex = room.gameState.seating.indexOf(room.gameState.currentTurn);
-    if (currentIndex === -1) {
-        console.error("Current player not in seating order!");
-        return;
-    }
-    const nextIndex = (currentIndex + 1) % 4;
-    room.gameState.currentTurn = room.gameState.seating[nextIndex];
+function describeVote(room) {
+    const vote = room.vote;
+    if (!vote) return null;
+    const ballots = Object.values(vote.ballots);
+    return {
+        id: vote.id,
+        action: vote.action,
+        label: VOTE_ACTIONS[vote.action].label,
+        requestedBy: vote.requestedBy,
+        rule: room.settings.voteRule,
+        voters: currentVoters(room),
+        voted: Object.keys(vote.ballots),
+        yes: ballots.filter(Boolean).length,
+        no: ballots.filter(b => !b).length,
+        timeLeft: Math.max(0, vote.deadline - Date.now())
+    };
 }
 
 /**
- * (ROUTINE) Initializes all state variables for a new round of play.
+ * (ROUTINE) Opens a vote on an action. The player who asks for it votes yes.
  */
-function initializeRound(room) {
-    room.gameState.gameInitialized = true;
-    room.gameState.isFirstMove = true;
-    room.gameState.board = [];
-    room.gameState.leftEnd = null;
-    room.gameState.rightEnd = null;
-    room.gameState.spinnerTile = null;
-    room.gameState.endRoundMessage = null;
-    room.gameState.lastPlayedTile = null;
-    room.gameState.matchOver = false;
-    room.gameState.endMatchMessage = null;
-    room.gameState.gameBlocked = false;
-    room.gameState.isTiedBlockedGame = false;
-
-    const playerNames = ["Jugador 1", "Jugador 2", "Jugador 3", "Jugador 4"];
-    const rotation = (room.gameState.matchNumber - 1) % 3;
-    if (rotation === 0) { // Match 1: (1,2) vs (3,4)
-        room.gameState.teams.teamA = [playerNames[0], playerNames[1]];
-        room.gameState.teams.teamB = [playerNames[2], playerNames[3]];
-    } else if (rotation === 1) { // Match 2: (1,3) vs (2,4)
-        room.gameState.teams.teamA = [playerNames[0], playerNames[2]];
-        room.gameState.teams.teamB = [playerNames[1], playerNames[3]];
-    } else { // Match 3: (1,4) vs (2,3)
-        room.gameState.teams.teamA = [playerNames[0], playerNames[3]];
-        room.gameState.teams.teamB = [playerNames[1], playerNames[2]];
+function startVote(room, seat, action) {
+    const voteAction = VOTE_ACTIONS[action];
+    if (!voteAction) return;
+    if (room.vote) {
+        io.to(seat.socketId).emit('gameError', { message: 'There is already a vote in progress.' });
+        return;
     }
-
-    // Set seating order for turns: [p1, p2, p1_partner, p2_partner]
-    const teamA = room.gameState.teams.teamA;
-    const teamB = room.gameState.teams.teamB;
-    room.gameState.seating = [teamA[0], teamB[0], teamA[1], teamB[1]];
-
-    dealHands(room);
-    const connectedPlayerNames = room.jugadores.filter(p => p.isConnected).map(p => p.name);
-
-    if (room.gameState.isFirstRoundOfMatch) {
-        const startingPlayer = connectedPlayerNames.find(p => room.gameState.hands[p] && room.gameState.hands[p].some(t => t.left === 6 && t.right === 6));
-        room.gameState.currentTurn = startingPlayer || "Jugador 1";
-        room.gameState.isAfterTiedBlockedGame = false;
-    } else if (room.gameState.isAfterTiedBlockedGame) {
-        // After tied blocked game: find who has double 6
-        const double6Holder = findDouble6Holder(room);
-        room.gameState.currentTurn = double6Holder || room.gameState.lastWinner || room.gameState.seating[0] || "Jugador 1";
-        console.log(`[TIE RULE] Double 6 holder ${room.gameState.currentTurn} starts the round and can play any tile.`);
-    } else {
-        room.gameState.currentTurn = room.gameState.lastWinner && connectedPlayerNames.includes(room.gameState.lastWinner) ? room.gameState.lastWinner : (room.gameState.seating[0] || "Jugador 1");
-        room.gameState.isAfterTiedBlockedGame = false;
+    if (!voteAction.isAllowed(room)) {
+        io.to(seat.socketId).emit('gameError', { message: 'That cannot be voted on right now.' });
+        return;
     }
-    broadcastGameState(room);
-}
 
+    room.vote = {
+        id: crypto.randomBytes(6).toString('hex'),
+        action,
+        requestedBy: seat.assignedName || seat.name,
+        voters: room.jugadores.filter(p => p.isConnected && !p.isBot).map(p => p.name),
+        ballots: { [seat.name]: true },
+        deadline: Date.now() + VOTE_WINDOW_MS,
+        timer: setTimeout(() => {
+            if (gameRooms.get(room.roomId) === room && room.vote) resolveVote(room, true);
+        }, VOTE_WINDOW_MS)
+    };
+    console.log(`[VOTE] ${room.vote.requestedBy} asked to ${action} in ${room.roomId}.`);
+    emitToRoom(room, 'roomNotice', { message: `🗳️ ${room.vote.requestedBy} propone ${voteAction.label}. Tienen ${VOTE_WINDOW_MS / 1000} s para votar.` });
+    resolveVote(room);
+}
 
 /**
- * (ROUTINE) Ends the current round, calculates scores, and checks for a match winner.
+ * (ROUTINE) Closes the vote once the result is certain (or time is up) and runs
+ * the action if it passed. Otherwise just shows the new tally.
  */
-function endRound(room, outcome) {
-    let endMessage = "Mano finalizada!";
-    let matchOverMessage = "";
-
-    try {
-        if (outcome.winner) {
-            const winner = outcome.winner;
-            room.gameState.lastWinner = winner;
-            const winnerTeam = room.gameState.teams.teamA.includes(winner) ? 'teamA' : 'teamB';
-            const loserTeamKey = winnerTeam === 'teamA' ? 'teamB' : 'teamA';
-            const points = room.gameState.teams[loserTeamKey].reduce((total, p) => total + calculateHandValue(room.gameState.hands[p]), 0);
-            room.gameState.teamScores[winnerTeam] += points;
-            const winnerDisplayName = room.gameState.jugadoresInfo.find(p => p.name === winner).displayName;
-            endMessage = `${winnerDisplayName} domino! Equipo ${winnerTeam.slice(-1)} gana ${points} puntos!`;
-            
-            // Broadcast domino win bell sound to ALL players in room
-            room.jugadores.forEach(player => {
-                if (player.isConnected && player.socketId) {
-                    io.to(player.socketId).emit('playerWonHand', { 
-                        playerName: winner, 
-                        displayName: winnerDisplayName,
-                        points: points 
-                    });
-                }
-            });
-        } else if (outcome.blocked) {
-            room.gameState.gameBlocked = true;
-            const scoreA = room.gameState.teams.teamA.reduce((total, p) => total + calculateHandValue(room.gameState.hands[p]), 0);
-            const scoreB = room.gameState.teams.teamB.reduce((total, p) => total + calculateHandValue(room.gameState.hands[p]), 0);
-
-            if (scoreA !== scoreB) {
-                const winningTeamKey = scoreA < scoreB ? 'teamA' : 'teamB';
-                const points = scoreA < scoreB ? scoreB : scoreA;
-                room.gameState.teamScores[winningTeamKey] += points;
-                endMessage = `Juego Cerrado! Equipo ${winningTeamKey.slice(-1)} gana con menos puntos, gana ${points} puntos.`;
-                // Determine next leader for blocked game
-                const allPipCounts = room.jugadores
-                    .filter(p => p.isConnected)
-                    .map(p => ({ player: p.name, score: calculateHandValue(room.gameState.hands[p.name]) }))
-                    .sort((a, b) => a.score - b.score);
-                if(allPipCounts.length > 0) room.gameState.lastWinner = allPipCounts[0].player;
-                room.gameState.isAfterTiedBlockedGame = false;
-                room.gameState.isTiedBlockedGame = false;
-
-            } else {
-                // TIED BLOCKED GAME - Special rule implementation
-                endMessage = `Juego Cerrado! Empate - nadie gana puntos.`;
-                room.gameState.isTiedBlockedGame = true;
-                room.gameState.isAfterTiedBlockedGame = true;
-                
-                // Find who has the double 6 for next round
-                const double6Holder = findDouble6Holder(room);
-                if (double6Holder) {
-                    room.gameState.lastWinner = double6Holder;
-                    const holderDisplayName = room.gameState.jugadoresInfo.find(p => p.name === double6Holder)?.displayName || double6Holder;
-                //    endMessage += `\nPróxima mano: ${holderDisplayName} (tiene doble 6) puede jugar cualquier ficha.`;
-                } else {
-                    // Fallback: lowest pip count starts
-                    const allPipCounts = room.jugadores
-                        .filter(p => p.isConnected)
-                        .map(p => ({ player: p.name, score: calculateHandValue(room.gameState.hands[p.name]) }))
-                        .sort((a, b) => a.score - b.score);
-                    if(allPipCounts.length > 0) room.gameState.lastWinner = allPipCounts[0].player;
-                    room.gameState.isAfterTiedBlockedGame = false;
-                }
-            }
-        }
-    } catch (error) { console.error("[SERVER] FATAL ERROR in endRound:", error); }
-
-    const scoreA = room.gameState.teamScores.teamA;
-    const scoreB = room.gameState.teamScores.teamB;
-
-    const targetScore = room.targetScore || 70;
-    if (scoreA >= targetScore || scoreB >= targetScore) {
-        const winningTeamName = scoreA > scoreB ? 'Team A' : 'Team B';
-        const winningTeamKey = scoreA > scoreB ? 'teamA' : 'teamB';
-        const losingTeamScore = scoreA > scoreB ? scoreB : scoreA;
-        
-        // Implement shutout rule: 2 points if opposing team has 0 points, otherwise 1 point
-        const matchPoints = losingTeamScore === 0 ? 2 : 1;
-        
-        room.gameState.teams[winningTeamKey].forEach(playerName => {
-            if (room.gameState.playerStats[playerName]) {
-                room.gameState.playerStats[playerName].matchesWon += matchPoints;
-            }
-        });
-        
-        const shutoutMessage = losingTeamScore === 0 ? ` (Zapato: +${matchPoints} puntos!)` : '';
-        matchOverMessage = `\n${winningTeamName} gana el match ${scoreA} a ${scoreB}!${shutoutMessage}`;
-
-        // DO NOT RESET STATE HERE. Wait for players to be ready.
-        // Set flags to show the match over screen on the client.
-        room.gameState.matchOver = true;
-        room.gameState.endMatchMessage = matchOverMessage;
-        room.gameState.endRoundMessage = endMessage + matchOverMessage;
-        room.gameState.gameInitialized = false; 
-        room.gameState.readyPlayers.clear();
-        
-        // Track match completion for analytics
-        const matchStats = {
-            duration: Date.now() - (room.gameCreatedAt || Date.now()),
-            totalMoves: 0, // Could track this separately if needed
-            playerCount: room.jugadores.filter(p => p.isConnected).length
-        };
-        analytics.trackGameEnd(room.roomId, winningTeamName, matchStats).catch(err =>
-            console.error('Analytics game end error:', err)
-        );
-        
+function resolveVote(room, timedOut = false) {
+    const vote = room.vote;
+    const voters = currentVoters(room);
+    const yes = voters.filter(name => vote.ballots[name] === true).length;
+    const no = voters.filter(name => vote.ballots[name] === false).length;
+    const needed = room.settings.voteRule === 'unanimous' ? voters.length : Math.floor(voters.length / 2) + 1;
+
+    const passed = voters.length > 0 && yes >= needed;
+    if (!passed && !timedOut && voters.length - no >= needed) {
         broadcastGameState(room);
-        return; // Stop further execution until players are ready.
+        return;
     }
 
-    // Standard end of round (not end of match)
-    room.gameState.isFirstRoundOfMatch = false;
-    room.gameState.matchOver = false;
-    room.gameState.endMatchMessage = null;
-    room.gameState.gameInitialized = false;
-    room.gameState.endRoundMessage = endMessage;
-    room.gameState.readyPlayers.clear();
-    broadcastGameState(room);
-}
-/**
- * (ROUTINE) Checks if the round should end after a move has been made.
- */
-function checkRoundEnd(room) {
-    if (!room.gameState.gameInitialized) return;
-    const connectedPlayers = room.jugadores.filter(p => p.isConnected).map(p => p.name);
-    const winner = connectedPlayers.find(p => room.gameState.hands[p] && room.gameState.hands[p].length === 0);
-    if (winner) { return endRound(room, { winner }); }
-    const canAnyPlayerMove = connectedPlayers.some(p => hasValidMove(room, p));
-    if (!canAnyPlayerMove) { return endRound(room, { blocked: true }); }
-    broadcastGameState(room);
+    clearTimeout(vote.timer);
+    room.vote = null;
+    const label = VOTE_ACTIONS[vote.action].label;
+    console.log(`[VOTE] Vote to ${vote.action} in ${room.roomId} ${passed ? 'passed' : 'failed'} (${yes} yes, ${no} no).`);
+    emitToRoom(room, 'roomNotice', {
+        message: `🗳️ Votación para ${label}: ${passed ? 'aprobada' : 'rechazada'} (${yes} sí, ${no} no${timedOut && !passed ? ', se acabó el tiempo' : ''}).`
+    });
+    if (passed) {
+        VOTE_ACTIONS[vote.action].run(room, vote);
+    } else {
+        broadcastGameState(room);
+    }
 }
 
 
@@ -503,7 +1465,8 @@ function checkRoundEnd(room) {
 io.on('connection', (socket) => {
 
     socket.on('setPlayerName', async (data) => {
-        console.log('🎯 Received setPlayerName data:', data);
+        // Only the name and room: the payload also carries the room password and session token
+        console.log('🎯 Received setPlayerName data:', data && typeof data === 'object' ? { name: data.name, roomId: data.roomId } : data);
 
         // Handle both old string format and new object format
         let displayName, avatarData, roomId, targetScore;
@@ -529,43 +1492,29 @@ io.on('connection', (socket) => {
 
         if (!displayName) return;
 
-        // Try to reconnect to existing room first
-        let reconnectedToRoom = null;
-        for (let [rid, room] of gameRooms) {
-            const reconnectingPlayer = room.jugadores.find(
-                p => p.assignedName && p.assignedName.trim() === displayName && !p.isConnected
-            );
-            if (reconnectingPlayer) {
-                reconnectingPlayer.socketId = socket.id;
-                reconnectingPlayer.isConnected = true;
-                if (typeof data === 'object' && data.avatar) {
-                    reconnectingPlayer.avatar = data.avatar;
-                    console.log(`[RECONNECT] ${displayName} reconnected to ${rid} with updated avatar ${data.avatar.type === 'emoji' ? data.avatar.data : 'custom'}.`);
-                } else {
-                    console.log(`[RECONNECT] ${displayName} reconnected to ${rid} with existing avatar ${reconnectingPlayer.avatar ? (reconnectingPlayer.avatar.type === 'emoji' ? reconnectingPlayer.avatar.data : 'custom') : 'default'}.`);
-                }
-                socket.jugadorName = reconnectingPlayer.name;
-                socket.roomId = rid;
-                socket.join(rid);
-                socket.emit('playerAssigned', reconnectingPlayer.name);
-                if (room.gameState.gameInitialized) {
-                    const playerHand = room.gameState.hands[reconnectingPlayer.name];
-                    io.to(socket.id).emit('playerHand', playerHand);
-                }
-                broadcastGameState(room);
-                reconnectedToRoom = room;
-                break;
-            }
+        // A valid session token gets its seat back directly
+        const returningAvatar = typeof data === 'object' ? data.avatar : null;
+        const tokenSeat = typeof data === 'object' ? findSeatForToken(data.sessionToken) : null;
+        if (tokenSeat) {
+            reclaimSeat(socket, tokenSeat.room, tokenSeat.seat, returningAvatar);
+            return;
+        }
+
+        // A private room is always a new one: never a public room picked by findOrCreateRoom
+        const wantsPrivateRoom = typeof data === 'object' && !!data.isPrivate;
+        if (wantsPrivateRoom && !roomId) {
+            roomId = `Sala-${nextRoomId++}`;
         }
-        if (reconnectedToRoom) return;
 
         // Room selection logic: if roomId provided, use it or create it if missing
         let room = null;
+        let createdRoom = false;
         if (roomId) {
             if (!gameRooms.has(roomId)) {
                 // Create new room with this id
                 const newRoom = createGameRoom(roomId);
                 gameRooms.set(roomId, newRoom);
+                createdRoom = true;
                 console.log(`[ROOM SYSTEM] Created new room by user: ${roomId}`);
             }
             room = gameRooms.get(roomId);
@@ -574,10 +1523,41 @@ io.on('connection', (socket) => {
             room = findOrCreateRoom(displayName);
         }
 
-        // Set the room's targetScore if provided (only if not already set or if this is a new room)
-        // Only set targetScore if not already set (prevents last player from overwriting)
-        if ((typeof room.targetScore !== 'number' || room.targetScore === 70) && typeof targetScore === 'number' && targetScore > 0) {
-            room.targetScore = targetScore;
+        // Private rooms: whoever creates one sets its password, everyone else must know it
+        const roomPassword = typeof data === 'object' && typeof data.roomPassword === 'string' ? data.roomPassword.substring(0, 40) : '';
+        if (createdRoom && wantsPrivateRoom) {
+            makeRoomPrivate(room, roomPassword.trim());
+        } else if (!canEnterRoom(room, roomPassword)) {
+            console.log(`[ROOM SYSTEM] ${displayName} was refused entry to private room ${room.roomId}.`);
+            socket.emit('roomAccessDenied', { message: `${room.roomId} es una sala privada. Necesitas la contraseña o el código de invitación.` });
+            return;
+        }
+
+        // A locked room lets nobody new in, and kicked players stay out
+        if (room.settings.locked && !createdRoom) {
+            socket.emit('roomAccessDenied', { message: `${room.roomId} está cerrada: el anfitrión no deja entrar a nadie más.` });
+            return;
+        }
+        if (room.settings.bannedNames.includes(displayName)) {
+            console.log(`[ROOM SYSTEM] Kicked player ${displayName} tried to come back to ${room.roomId}.`);
+            socket.emit('roomAccessDenied', { message: `El anfitrión te expulsó de ${room.roomId}.` });
+            return;
+        }
+
+        // Without one, a reserved seat with the same name in the room asked for needs the host's approval
+        if (roomId) {
+            const reservedSeat = room.jugadores.find(
+                p => seatOwnerName(p) && seatOwnerName(p).trim() === displayName && isSeatAwaitingOwner(p)
+            );
+            if (reservedSeat) {
+                requestSeatReclaim(socket, room, reservedSeat, returningAvatar);
+                return;
+            }
+        }
+
+        // Whoever sits down first in an empty room chooses its settings
+        if (countHumans(room) === 0 && isBeforeFirstRound(room)) {
+            applyRoomSettings(room, typeof data === 'object' ? data : { targetScore });
         }
 
         // Join the socket to the room (for socket.io room broadcasts)
@@ -592,16 +1572,12 @@ io.on('connection', (socket) => {
             return;
         }
 
-        const availableSlot = room.jugadores.find(p => !p.isConnected);
+        // Between rounds, a player who joins takes over a bot's seat
+        const availableSlot = findOpenSeat(room) || (!room.gameState.gameInitialized && room.jugadores.find(p => p.isBot));
         if (availableSlot) {
-            availableSlot.socketId = socket.id;
-            availableSlot.isConnected = true;
-            availableSlot.assignedName = displayName;
-            availableSlot.avatar = avatarData;
-            socket.jugadorName = availableSlot.name;
-            socket.roomId = room.roomId;
-            socket.join(room.roomId);
-            socket.emit('playerAssigned', availableSlot.name);
+            room.gameState.readyPlayers.delete(availableSlot.name);
+            assignSeat(socket, room, availableSlot, displayName, avatarData);
+            sendPrivateRoomInfo(socket, room);
             console.log(`[NEW PLAYER] ${displayName} connected as ${availableSlot.name} in ${room.roomId} with avatar ${avatarData.type === 'emoji' ? avatarData.data : 'custom'}.`);
 
             // Track player join for analytics
@@ -612,142 +1588,94 @@ io.on('connection', (socket) => {
                 socket.request.headers['user-agent'] || 'Unknown'
             );
 
-            const connectedCount = room.jugadores.filter(p => p.isConnected).length;
-            if (connectedCount === 4 && !room.gameState.gameInitialized && !room.gameState.endRoundMessage && !room.gameState.matchOver) {
-                initializeRound(room);
-            } else {
-                broadcastGameState(room);
-            }
+            // The first round waits in the waiting room until the host starts it
+            broadcastGameState(room);
+            scheduleBotFill(room);
         } else {
-            socket.emit('gameError', { message: 'Room is full. Looking for another room...' });
-            socket.disconnect();
+            room.queue.push(socket.id); // Everyone who finds the table full gets in line for it
+            addSpectator(socket, room, displayName, avatarData, `${room.roomId} está llena: estás en la fila para jugar (puesto ${room.queue.length}).`);
         }
     });
     
-    socket.on('placeTile', async ({ tile, position }) => {
-        const room = findPlayerRoom(socket.id);
-        if (!room) return;
-        
-        const player = socket.jugadorName;
-        if (!room.gameState.gameInitialized || room.gameState.currentTurn !== player) return;
-        const hand = room.gameState.hands[player];
-        
-        const tileIndex = hand.findIndex(t => (t.left === tile.left && t.right === tile.right) || (t.left === tile.right && t.right === tile.left));
-        if (tileIndex === -1) return;
-        
-        let validMove = false;
-        let playedTileForHighlight = null; 
-
-        if (room.gameState.isFirstMove) {
-            if (room.gameState.isFirstRoundOfMatch && (tile.left !== 6 || tile.right !== 6)) {
-                return socket.emit('gameError', { message: 'Primera ficha debe ser 6|6!' });
-            } else if (room.gameState.isAfterTiedBlockedGame) {
-                // After tied blocked game: player with double 6 can play any tile
-                console.log(`[TIE RULE] ${player} playing any tile after tied blocked game: ${tile.left}|${tile.right}`);
-            }
-            const firstTile = hand[tileIndex];
-            room.gameState.board.push(firstTile);
-            room.gameState.leftEnd = firstTile.left;
-            room.gameState.rightEnd = firstTile.right;
-            room.gameState.spinnerTile = firstTile;
-            playedTileForHighlight = firstTile;
-            validMove = true;
-            room.gameState.isFirstMove = false;
-            // Reset the tied blocked game flag after first move
-            room.gameState.isAfterTiedBlockedGame = false;
+    socket.on('answerReclaimRequest', ({ requestId, approved } = {}) => {
+        const request = pendingReclaims.get(requestId);
+        if (!request) return;
+        const room = gameRooms.get(request.roomId);
+        const host = room ? getRoomHost(room) : null;
+        if (!host || host.socketId !== socket.id) return; // Only the host may answer
+
+        clearTimeout(request.timer);
+        pendingReclaims.delete(requestId);
+
+        const requester = io.sockets.sockets.get(request.socketId);
+        if (!requester) return;
+        const seat = room.jugadores.find(p => p.name === request.seatName);
+        if (!approved) {
+            requester.emit('gameError', { message: 'The host denied your request to return to your seat.' });
+        } else if (!seat || !isSeatAwaitingOwner(seat)) {
+            requester.emit('gameError', { message: 'That seat is no longer available.' });
         } else {
-            const playedTile = hand[tileIndex];
-            if (position === 'left' && (playedTile.left === room.gameState.leftEnd || playedTile.right === room.gameState.leftEnd)) {
-                const oriented = playedTile.right === room.gameState.leftEnd ? playedTile : { left: playedTile.right, right: playedTile.left };
-                room.gameState.board.unshift(oriented);
-                room.gameState.leftEnd = oriented.left;
-                playedTileForHighlight = oriented;
-                validMove = true;
-            } else if (position === 'right' && (playedTile.left === room.gameState.rightEnd || playedTile.right === room.gameState.rightEnd)) {
-                const oriented = playedTile.left === room.gameState.rightEnd ? playedTile : { left: playedTile.right, right: playedTile.left };
-                room.gameState.board.push(oriented);
-                room.gameState.rightEnd = oriented.right;
-                playedTileForHighlight = oriented;
-                validMove = true;
-            }
+            reclaimSeat(requester, room, seat, request.avatar);
         }
-        if (validMove) {
-            hand.splice(tileIndex, 1);
-            room.gameState.lastPlayedTile = playedTileForHighlight;
-            socket.emit('playerHand', room.gameState.hands[player]);
-            socket.emit('moveSuccess', { tile: playedTileForHighlight });
-            
-            // Broadcast tile placement sound to ALL players in room
-            room.jugadores.forEach(p => {
-                if (p.isConnected && p.socketId) {
-                    io.to(p.socketId).emit('tilePlaced', { 
-                        playerName: player, 
-                        tile: playedTileForHighlight 
-                    });
-                }
-            });
-            
-            // Track tile placement for analytics
-            await analytics.trackTilePlaced(
-                room.roomId,
-                player,
-                playedTileForHighlight,
-                position
-            );
-            
-            nextTurn(room);
-            checkRoundEnd(room);
-        } else {
-            socket.emit('gameError', { message: 'Jugada inválida!' });
+    });
+
+    socket.on('acceptSeatOffer', ({ seatName } = {}) => {
+        const watching = findSpectator(socket);
+        if (!watching) return;
+        const { room, spectator } = watching;
+
+        const seat = room.jugadores.find(p => p.name === seatName);
+        if (!seat || !seat.isBot || !seat.absentPlayer) {
+            socket.emit('gameError', { message: 'That seat is no longer available.' });
+            return;
+        }
+
+        assignSeat(socket, room, seat, spectator.displayName, spectator.avatar);
+        console.log(`[STAND-IN] ${spectator.displayName} took over ${seat.name} for ${seat.absentPlayer.assignedName} in ${room.roomId}.`);
+        if (room.gameState.gameInitialized) {
+            io.to(socket.id).emit('playerHand', room.gameState.hands[seat.name]);
         }
+        broadcastGameState(room);
+    });
+
+    socket.on('joinQueue', () => {
+        const watching = findSpectator(socket);
+        if (!watching || watching.room.queue.includes(socket.id)) return;
+
+        watching.room.queue.push(socket.id);
+        broadcastGameState(watching.room);
+    });
+
+    socket.on('leaveQueue', () => {
+        const watching = findSpectator(socket);
+        if (!watching) return;
+
+        watching.room.queue = watching.room.queue.filter(id => id !== socket.id);
+        broadcastGameState(watching.room);
+    });
+
+    socket.on('placeTile', ({ tile, position }) => {
+        const room = findPlayerRoom(socket.id);
+        if (!room) return;
+        applyRoomAction(room, { type: 'play', player: socket.jugadorName, tile, position });
+    });
+
+    socket.on('drawTile', () => {
+        const room = findPlayerRoom(socket.id);
+        if (!room) return;
+        applyRoomAction(room, { type: 'draw', player: socket.jugadorName });
     });
 
     socket.on('passTurn', () => {
         const room = findPlayerRoom(socket.id);
         if (!room) return;
-        
-        const player = socket.jugadorName;
-        if (!room.gameState.gameInitialized || room.gameState.currentTurn !== player || hasValidMove(room, player)) return;
-        
-        // Broadcast pass turn sound to ALL players in room
-        room.jugadores.forEach(p => {
-            if (p.isConnected && p.socketId) {
-                io.to(p.socketId).emit('playerPassed', { 
-                    playerName: player 
-                });
-            }
-        });
-        
-        nextTurn(room);
-        checkRoundEnd(room);
+        applyRoomAction(room, { type: 'pass', player: socket.jugadorName });
     });
 
     socket.on('playerReadyForNewRound', () => {
         const room = findPlayerRoom(socket.id);
         if (!room || !socket.jugadorName) return;
-        
-        room.gameState.readyPlayers.add(socket.jugadorName);
-        broadcastGameState(room);
-
-        const connectedPlayers = room.jugadores.filter(p => p.isConnected);
-        if (room.gameState.readyPlayers.size === connectedPlayers.length && connectedPlayers.length === 4) { // Ensure 4 players are ready
-            if (room.gameState.matchOver) {
-                // --- RESET STATE FOR NEW MATCH ---
-                const savedPlayerStats = { ...room.gameState.playerStats };
-                const nextMatchNumber = room.gameState.matchNumber + 1;
-                const lastWinnerOfMatch = room.gameState.lastWinner;
-
-                const newGameState = createNewGameState();
-                newGameState.playerStats = savedPlayerStats;
-                newGameState.matchNumber = nextMatchNumber;
-                newGameState.lastWinner = lastWinnerOfMatch;
-                newGameState.isFirstRoundOfMatch = true; 
-                room.gameState = newGameState;
-            }
-
-            room.gameState.readyPlayers.clear();
-            initializeRound(room);
-        }
+        applyRoomAction(room, { type: 'ready', player: socket.jugadorName });
     });
 
 // Add this to your server.js socket event handlers
@@ -770,69 +1698,191 @@ socket.on('voiceMessage', async (data) => {
     });
 });
 
-    socket.on('restartGame', () => {
+    socket.on('chooseSeat', ({ seatName } = {}) => {
         const room = findPlayerRoom(socket.id);
         if (!room) return;
-        
-        const player = room.jugadores.find(p => p.socketId === socket.id);
-        if (!player) return;
+        const seat = room.jugadores.find(p => p.socketId === socket.id);
+        const targetSeat = room.jugadores.find(p => p.name === seatName);
+        if (!seat || !targetSeat || targetSeat === seat) return;
+        if (!isBeforeFirstRound(room)) {
+            socket.emit('gameError', { message: 'Seats can only be changed before the first round.' });
+            return;
+        }
 
-        console.log(`[RESTART GAME] ${player.assignedName || player.name} initiated game restart in ${room.roomId}.`);
-        
-        // Reset all game state while keeping connected players
-        const connectedPlayers = room.jugadores.filter(p => p.isConnected);
-        
-        // Create fresh game state
-        room.gameState = createNewGameState();
-        
-        // Preserve player connections but reset their assigned names
-        connectedPlayers.forEach(p => {
-            room.gameState.playerStats[p.name] = { matchesWon: 0 };
-        });
-        
-        // Clear ready players
-        room.gameState.readyPlayers.clear();
-        
-        // Broadcast restart message to room
-        room.jugadores.forEach(p => {
-            if (p.isConnected && p.socketId) {
-                io.to(p.socketId).emit('gameRestarted', { 
-                    message: `${player.assignedName || player.name} reinició el juego`,
-                    restartedBy: player.assignedName || player.name
-                });
-            }
-        });
-        
-        // Broadcast fresh game state
+        requestSeatChange(socket, room, seat, targetSeat);
+    });
+
+    socket.on('answerSeatSwap', ({ requestId, accepted } = {}) => {
+        const request = pendingSeatSwaps.get(requestId);
+        if (!request || request.toSocketId !== socket.id) return;
+        clearTimeout(request.timer);
+        pendingSeatSwaps.delete(requestId);
+
+        const room = gameRooms.get(request.roomId);
+        if (!room) return;
+        const fromSeat = room.jugadores.find(p => p.name === request.fromSeat);
+        const toSeat = room.jugadores.find(p => p.name === request.toSeat);
+        // Both players must still be where they were when the swap was asked for
+        if (!fromSeat || !toSeat || fromSeat.socketId !== request.fromSocketId || toSeat.socketId !== socket.id || !isBeforeFirstRound(room)) return;
+
+        if (accepted) {
+            swapSeats(room, fromSeat, toSeat);
+        } else {
+            io.to(request.fromSocketId).emit('gameError', { message: `${toSeat.assignedName} prefers to keep their seat.` });
+        }
+    });
+
+    socket.on('setReady', ({ ready } = {}) => {
+        const room = findPlayerRoom(socket.id);
+        if (!room || !socket.jugadorName || !isBeforeFirstRound(room)) return;
+
+        if (ready) {
+            room.lobbyReady.add(socket.jugadorName);
+        } else {
+            room.lobbyReady.delete(socket.jugadorName);
+        }
         broadcastGameState(room);
-        
-        // Start a new round if we have 4 players
-        if (connectedPlayers.length === 4) {
-            setTimeout(() => {
-                initializeRound(room);
-            }, 2000); // Give players 2 seconds to see the restart message
+    });
+
+    socket.on('startGame', () => {
+        const room = findHostedRoom(socket);
+        if (!room) return;
+        if (!canStartGame(room)) {
+            const seats = room.jugadores.length === 2 ? 'Both seats' : `All ${room.jugadores.length} seats`;
+            socket.emit('gameError', { message: `${seats} must be taken and ready before the game starts.` });
+            return;
         }
+
+        console.log(`[WAITING ROOM] The host started the game in ${room.roomId}.`);
+        room.lobbyReady.clear();
+        initializeRound(room);
+    });
+
+    socket.on('startVote', ({ action } = {}) => {
+        const room = findPlayerRoom(socket.id);
+        if (!room) return;
+        const player = room.jugadores.find(p => p.socketId === socket.id);
+        if (!player) return;
+
+        startVote(room, player, action);
+    });
+
+    socket.on('castVote', ({ voteId, approve } = {}) => {
+        const room = findPlayerRoom(socket.id);
+        if (!room || !room.vote || room.vote.id !== voteId) return;
+        const player = room.jugadores.find(p => p.socketId === socket.id);
+        if (!player || !room.vote.voters.includes(player.name) || player.name in room.vote.ballots) return;
+
+        room.vote.ballots[player.name] = !!approve;
+        resolveVote(room);
     });
 
     socket.on('chatMessage', (msg) => {
+        if (typeof msg !== 'string' || !msg) return;
+
+        // Spectators may write only while the room allows it
+        const watching = findSpectator(socket);
+        if (watching) {
+            if (!watching.room.settings.spectatorChat) {
+                socket.emit('gameError', { message: 'El chat de espectadores está desactivado en esta sala.' });
+                return;
+            }
+            emitToRoom(watching.room, 'chatMessage', {
+                sender: `${watching.spectator.displayName} 👀`,
+                message: msg.substring(0, 100)
+            });
+            return;
+        }
+
         const room = findPlayerRoom(socket.id);
         if (!room) return;
         
         const player = room.jugadores.find(p => p.socketId === socket.id);
-        if (player && msg) {
-            // Broadcast to all players in room
-            room.jugadores.forEach(p => {
-                if (p.isConnected && p.socketId) {
-                    io.to(p.socketId).emit('chatMessage', { 
-                        sender: player.assignedName || player.name, 
-                        message: msg.substring(0, 100) 
-                    });
-                }
+        if (player) {
+            // Broadcast to all players and spectators in room
+            emitToRoom(room, 'chatMessage', { 
+                sender: player.assignedName || player.name, 
+                message: msg.substring(0, 100) 
             });
         }
     });
+
+    socket.on('setSpectatorChat', ({ enabled } = {}) => {
+        const room = findHostedRoom(socket);
+        if (!room) return; // Only the host may change it
+
+        room.settings.spectatorChat = !!enabled;
+        console.log(`[SPECTATOR] Spectator chat ${room.settings.spectatorChat ? 'enabled' : 'disabled'} in ${room.roomId}.`);
+        broadcastGameState(room);
+    });
     
+    socket.on('kickPlayer', ({ seatName } = {}) => {
+        const room = findHostedRoom(socket);
+        if (!room) return;
+        const seat = room.jugadores.find(p => p.name === seatName);
+        if (!seat || !seat.assignedName || seat.isBot) {
+            socket.emit('gameError', { message: 'There is no player to kick in that seat.' });
+            return;
+        }
+        if (seat.name === room.hostName) {
+            socket.emit('gameError', { message: 'The host cannot kick themselves.' });
+            return;
+        }
+
+        kickSeat(room, seat);
+        broadcastGameState(room);
+        scheduleBotTurn(room);
+        scheduleBotFill(room);
+    });
+
+    socket.on('lockRoom', ({ locked } = {}) => {
+        const room = findHostedRoom(socket);
+        if (!room) return;
+
+        room.settings.locked = !!locked;
+        console.log(`[HOST] ${room.roomId} ${room.settings.locked ? 'locked' : 'unlocked'}.`);
+        emitToRoom(room, 'roomNotice', { message: room.settings.locked ? '👑 El anfitrión cerró la sala.' : '👑 El anfitrión abrió la sala.' });
+        broadcastGameState(room);
+    });
+
+    socket.on('transferHost', ({ seatName } = {}) => {
+        const room = findHostedRoom(socket);
+        if (!room) return;
+        const seat = room.jugadores.find(p => p.name === seatName);
+        if (!seat || !seat.isConnected || seat.isBot || seat.name === room.hostName) {
+            socket.emit('gameError', { message: 'Only another connected player can become the host.' });
+            return;
+        }
+
+        room.hostName = seat.name;
+        console.log(`[HOST] ${seat.assignedName} is now the host of ${room.roomId}.`);
+        emitToRoom(room, 'roomNotice', { message: `👑 ${seat.assignedName} es ahora el anfitrión.` });
+        broadcastGameState(room);
+    });
+
+    socket.on('updateRoomSettings', (options = {}) => {
+        const room = findHostedRoom(socket);
+        if (!room) return;
+        if (!isBeforeFirstRound(room)) {
+            socket.emit('gameError', { message: 'Room settings can only be changed before the first round.' });
+            return;
+        }
+
+        applyRoomSettings(room, options);
+        console.log(`[HOST] Settings of ${room.roomId} changed: target ${room.targetScore}, turn clock ${room.settings.turnSeconds}s.`);
+        const target = isIndividualGame(room) ? `${room.settings.playerTargetScore} puntos por jugador` : `${room.targetScore} puntos`;
+        emitToRoom(room, 'roomNotice', { message: `👑 El anfitrión cambió la configuración: partida a ${target}.` });
+        broadcastGameState(room);
+    });
+
     socket.on('disconnect', () => {
+        const watching = findSpectator(socket);
+        if (watching) {
+            removeSpectator(watching.room, socket.id);
+            broadcastGameState(watching.room);
+            return;
+        }
+
         const room = findPlayerRoom(socket.id);
         if (!room) return;
         
@@ -842,19 +1892,28 @@ socket.on('voiceMessage', async (data) => {
             playerSlot.socketId = null;
             playerSlot.isConnected = false;
             room.gameState.readyPlayers.delete(playerSlot.name);
+            room.lobbyReady.delete(playerSlot.name);
             
             const connectedCount = room.jugadores.filter(p => p.isConnected).length;
-            if (connectedCount < 4 && room.gameState.gameInitialized) {
-                // If a player disconnects mid-game, pause or handle accordingly
+            if (connectedCount < room.jugadores.length && room.gameState.gameInitialized) {
+                // The table waits for the player until their grace period runs out
                 console.log(`[SERVER] A player disconnected mid-game in ${room.roomId}. Pausing.`);
-                // For now, we just update clients. A more robust solution could pause the turn timer.
                 broadcastGameState(room);
-            } else if (connectedCount === 0) {
+                scheduleSeatReplacements(room);
+            } else if (countHumans(room) === 0) {
                 console.log(`[SERVER] All players disconnected from ${room.roomId}. Removing room.`);
+                clearTimeout(room.botTimer);
+                clearTimeout(room.botFillTimer);
+                Object.values(room.seatTimers).forEach(clearTimeout);
+                clearTurnTimer(room);
+                if (room.vote) clearTimeout(room.vote.timer);
                 gameRooms.delete(room.roomId);
+                saveRooms();
             } else {
                 broadcastGameState(room);
+                scheduleSeatReplacements(room);
             }
+            if (room.vote && gameRooms.get(room.roomId) === room) resolveVote(room); // One voter fewer
         }
     });
 });
@@ -1085,5 +2144,19 @@ setInterval(async () => {
     }
 }, 60 * 60 * 1000); // Every hour
 
+// =============================================================================
+// == ROOM PERSISTENCE                                                        ==
+// =============================================================================
+
+restoreRooms();
+
+// Flush the latest room snapshot before the process exits
+['SIGINT', 'SIGTERM'].forEach(signal => {
+    process.on(signal, () => {
+        roomStore.saveNow();
+        process.exit(0);
+    });
+});
+
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => console.log(`[SERVER] Server listening on port ${PORT}`));
\ No newline at end of file
@@ -0,0 +1,68 @@
+// session-tokens.js - Signed reconnect tokens for player seats
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The secret signs every seat's token: never under __dirname, which the server serves
+const DATA_DIR = process.env.DOMINO_DATA_DIR || path.join(os.homedir(), '.domino4');
+
+class SessionTokens {
+    constructor() {
+        // Kept next to the room snapshots so tokens stay valid across restarts
+        this.secretFile = path.join(DATA_DIR, 'session-secret');
+        this.secret = null;
+    }
+
+    // Signing secret: SESSION_SECRET if set, otherwise a generated one saved to disk
+    getSecret() {
+        if (this.secret) return this.secret;
+        if (process.env.SESSION_SECRET) {
+            this.secret = process.env.SESSION_SECRET;
+            return this.secret;
+        }
+        try {
+            this.secret = fs.readFileSync(this.secretFile, 'utf8').trim();
+        } catch (error) {
+            this.secret = crypto.randomBytes(32).toString('hex');
+            try {
+                fs.mkdirSync(path.dirname(this.secretFile), { recursive: true });
+                fs.writeFileSync(this.secretFile, this.secret, { mode: 0o600 });
+            } catch (writeError) {
+                console.error('Could not save session secret, tokens will not survive a restart:', writeError);
+            }
+        }
+        return this.secret;
+    }
+
+    // A fresh session ID for a seat; storing a new one revokes every older token
+    createSessionId() {
+        return crypto.randomBytes(12).toString('hex');
+    }
+
+    // Token = base64url(JSON payload) + "." + base64url(HMAC-SHA256 of the payload)
+    sign(payload) {
+        const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+        const signature = crypto.createHmac('sha256', this.getSecret()).update(body).digest('base64url');
+        return `${body}.${signature}`;
+    }
+
+    // Returns the payload of a well-signed token, or null
+    verify(token) {
+        if (typeof token !== 'string') return null;
+        const [body, signature] = token.split('.');
+        if (!body || !signature) return null;
+
+        const expected = crypto.createHmac('sha256', this.getSecret()).update(body).digest();
+        const given = Buffer.from(signature, 'base64url');
+        if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return null;
+
+        try {
+            return JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = new SessionTokens();
@@ -0,0 +1,96 @@
+// =============================================================================
+// == bots.test.js       Domino4  -  Computer player tests                    ==
+// =============================================================================
+// Bots answer with ordinary actions, so every test checks the move chosen and,
+// for whole rounds, that the rules engine accepts each one.
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rules = require('../rules');
+const bots = require('../bots');
+
+const [J1, J2, J3, J4] = rules.PLAYER_NAMES;
+
+/**
+ * (ROUTINE) Builds a four-seat rule context dealt from the given seed.
+ */
+function makeContext(dealSeed) {
+    return {
+        players: rules.PLAYER_NAMES.map(name => ({ name, displayName: name, isConnected: true })),
+        targetScore: 200,
+        dealSeed
+    };
+}
+
+/**
+ * (ROUTINE) Returns J1's turn on a board showing 5 and 0, with the given hand
+ * and public move log. Seating is J1, J3, J2, J4: J2 is the partner.
+ */
+function turnWith(hand, roundMoves = []) {
+    const state = rules.startRound(rules.createGameState(), makeContext(7)).state;
+    Object.assign(state, {
+        hands: { ...state.hands, [J1]: hand },
+        board: [{ left: 5, right: 0 }],
+        leftEnd: 5,
+        rightEnd: 0,
+        isFirstMove: false,
+        isFirstRoundOfMatch: false,
+        currentTurn: J1,
+        roundMoves
+    });
+    return state;
+}
+
+const THREE = { left: 0, right: 3 };
+const FOUR = { left: 0, right: 4 };
+
+test('a bot with nothing to play passes', () => {
+    const state = turnWith([{ left: 1, right: 2 }]);
+    Object.keys(bots.STRATEGIES).forEach(level => {
+        assert.deepEqual(bots.chooseAction(state, J1, level), { type: 'pass', player: J1 });
+    });
+});
+
+test('the medium bot dumps its heaviest playable tile', () => {
+    const state = turnWith([THREE, FOUR, { left: 6, right: 6 }]);
+    assert.deepEqual(bots.chooseAction(state, J1, 'medium'), { type: 'play', player: J1, tile: FOUR, position: 'right' });
+});
+
+test('the easy bot plays whatever its random source picks', () => {
+    const state = turnWith([THREE, FOUR]);
+    assert.equal(bots.chooseAction(state, J1, 'easy', () => 0).tile, THREE);
+    assert.equal(bots.chooseAction(state, J1, 'easy', () => 0.99).tile, FOUR);
+});
+
+test('the hard bot leaves the next opponent an end they are known to lack', () => {
+    const state = turnWith([THREE, FOUR], [{ type: 'pass', player: J3, leftEnd: 3, rightEnd: 3 }]);
+    assert.equal(bots.chooseAction(state, J1, 'hard').tile, THREE);
+});
+
+test('the hard bot never leaves its partner an end they are known to lack', () => {
+    const state = turnWith([THREE, FOUR], [{ type: 'pass', player: J2, leftEnd: 4, rightEnd: 4 }]);
+    assert.equal(bots.chooseAction(state, J1, 'hard').tile, THREE);
+});
+
+test('an unknown level falls back to the default one', () => {
+    assert.equal(bots.normalizeLevel('grandmaster'), bots.DEFAULT_LEVEL);
+    assert.equal(bots.normalizeLevel('hard'), 'hard');
+});
+
+test('bots of every level play whole rounds with legal moves only', () => {
+    Object.keys(bots.STRATEGIES).forEach(level => {
+        for (let seed = 1; seed <= 5; seed++) {
+            const ctx = makeContext(seed);
+            let state = rules.startRound(rules.createGameState(), ctx).state;
+            for (let turn = 0; state.gameInitialized; turn++) {
+                assert.ok(turn < 100, `${level} bots finish the round dealt from ${seed}`);
+                const result = rules.applyAction(state, bots.chooseAction(state, state.currentTurn, level), ctx);
+                assert.equal(result.events.some(event => event.type === 'gameError'), false);
+                assert.notDeepEqual(result.events, [], 'the engine accepted the move');
+                state = result.state;
+            }
+            assert.ok(state.endRoundMessage);
+        }
+    });
+});
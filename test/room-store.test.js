@@ -0,0 +1,54 @@
+// =============================================================================
+// == room-store.test.js Domino4  -  Room snapshot tests                      ==
+// =============================================================================
+// Writes snapshots into a temporary DOMINO_DATA_DIR and reads them back.
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DOMINO_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'domino4-rooms-'));
+const roomStore = require('../room-store');
+const snapshotFile = path.join(process.env.DOMINO_DATA_DIR, 'rooms.json');
+
+test.after(() => fs.rmSync(process.env.DOMINO_DATA_DIR, { recursive: true, force: true }));
+
+test('a snapshot brings rooms back with their Sets', () => {
+    const room = {
+        roomId: 'Sala-1',
+        gameState: { readyPlayers: new Set(['Jugador 1', 'Jugador 3']), teamScores: { teamA: 30, teamB: 12 } }
+    };
+    roomStore.scheduleSave(() => [room]);
+    roomStore.saveNow();
+
+    const [restored] = roomStore.loadRooms();
+    assert.ok(restored.gameState.readyPlayers instanceof Set);
+    assert.deepEqual([...restored.gameState.readyPlayers], ['Jugador 1', 'Jugador 3']);
+    assert.deepEqual(restored.gameState.teamScores, { teamA: 30, teamB: 12 });
+});
+
+test('snapshots are written outside the served folder', () => {
+    assert.ok(fs.existsSync(snapshotFile));
+    assert.equal(fs.existsSync(path.join(__dirname, '..', 'snapshots')), false);
+});
+
+test('a stale snapshot is ignored', () => {
+    fs.writeFileSync(snapshotFile, JSON.stringify({ savedAt: Date.now() - 13 * 60 * 60 * 1000, rooms: [{ roomId: 'Sala-1' }] }));
+    assert.deepEqual(roomStore.loadRooms(), []);
+});
+
+test('a missing or broken snapshot loads no rooms', () => {
+    fs.writeFileSync(snapshotFile, '{ not json');
+    const logError = console.error;
+    console.error = () => {};
+    try {
+        assert.deepEqual(roomStore.loadRooms(), []);
+    } finally {
+        console.error = logError;
+    }
+    fs.rmSync(snapshotFile);
+    assert.deepEqual(roomStore.loadRooms(), []);
+});
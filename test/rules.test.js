@@ -0,0 +1,858 @@
+// =============================================================================
+// == rules.test.js      Domino4  -  Rules engine tests                       ==
+// =============================================================================
+// Drives rules.js the way the server does, through startRound and applyAction.
+// Rounds are dealt from a fixed seed; where a test needs particular hands it
+// sets them on the state directly, since the state is plain data.
+// Run with `npm test`.
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const rules = require('../rules');
+
+const [J1, J2, J3, J4] = rules.PLAYER_NAMES;
+const DEAL_SEED = 20240607;
+
+/**
+ * (ROUTINE) Builds a four-seat rule context, with any rule overrides.
+ */
+function makeContext(overrides = {}) {
+    return {
+        players: rules.PLAYER_NAMES.map(name => ({ name, displayName: name, isConnected: true })),
+        targetScore: 200,
+        dealSeed: DEAL_SEED,
+        ...overrides
+    };
+}
+
+/**
+ * (ROUTINE) Deals the first round of a match: teams are 1 and 2 against 3 and
+ * 4, seated J1, J3, J2, J4.
+ */
+function dealFirstRound(ctx = makeContext()) {
+    return rules.startRound(rules.createGameState(), ctx).state;
+}
+
+/**
+ * (ROUTINE) Returns a round already under way with the given hands, a single
+ * tile on the board and `turn` to play.
+ */
+function roundInPlay(hands, { board = [{ left: 5, right: 0 }], turn = J1, ctx = makeContext() } = {}) {
+    const state = dealFirstRound(ctx);
+    Object.assign(state, {
+        hands,
+        board,
+        leftEnd: board[0].left,
+        rightEnd: board[board.length - 1].right,
+        spinnerTile: board[0],
+        isFirstMove: false,
+        isFirstRoundOfMatch: false,
+        currentTurn: turn
+    });
+    return state;
+}
+
+/**
+ * (ROUTINE) Returns the events of a given type.
+ */
+function eventsOf(events, type) {
+    return events.filter(event => event.type === type);
+}
+
+/**
+ * (ROUTINE) Sets up a round J1 blocks by playing 0|5 on the right: both ends
+ * then show a 5 and nobody holds one. J1 is left with a 1|1 and the others
+ * with the single tile given for them.
+ */
+function blockingRound({ j2, j3, j4 }, ctx) {
+    return roundInPlay({
+        [J1]: [{ left: 0, right: 5 }, { left: 1, right: 1 }],
+        [J2]: [j2],
+        [J3]: [j3],
+        [J4]: [j4]
+    }, { ctx });
+}
+
+const BLOCKING_PLAY = { type: 'play', player: J1, tile: { left: 0, right: 5 }, position: 'right' };
+
+
+// =============================================================================
+// == OPENER SELECTION                                                        ==
+// =============================================================================
+
+test('the first round of a match is opened by the holder of the highest double dealt', () => {
+    const state = dealFirstRound();
+    const pips = state.openingDouble;
+    assert.equal(pips, rules.highestDealtDouble(state, makeContext()));
+    assert.ok(state.hands[state.currentTurn].some(t => t.left === pips && t.right === pips));
+    assert.equal(state.roundOpener, state.currentTurn);
+});
+
+test('after the first round the winner of the last hand opens', () => {
+    const state = dealFirstRound();
+    Object.assign(state, { isFirstRoundOfMatch: false, lastWinner: J4, roundOpener: J1 });
+    assert.equal(rules.startRound(state, makeContext()).state.currentTurn, J4);
+});
+
+test("'rotate' moves the opener one seat on whoever won", () => {
+    const ctx = makeContext({ openingRule: 'rotate' });
+    const state = dealFirstRound(ctx);
+    Object.assign(state, { isFirstRoundOfMatch: false, lastWinner: J4, roundOpener: J1 });
+    const next = rules.startRound(state, ctx).state;
+    assert.equal(next.currentTurn, J3); // Seating is J1, J3, J2, J4
+    assert.equal(next.roundOpener, J3);
+});
+
+test("'anyDouble' lets the first tile of a match be any double", () => {
+    const hands = {
+        [J1]: [{ left: 6, right: 6 }, { left: 2, right: 2 }],
+        [J2]: [{ left: 1, right: 3 }],
+        [J3]: [{ left: 0, right: 4 }],
+        [J4]: [{ left: 5, right: 6 }]
+    };
+    const opening = { type: 'play', player: J1, tile: { left: 2, right: 2 }, position: 'right' };
+
+    const strict = Object.assign(dealFirstRound(), { hands, currentTurn: J1, openingDouble: 6 });
+    const rejected = rules.applyAction(strict, opening, makeContext());
+    assert.equal(rejected.state.board.length, 0);
+    assert.equal(eventsOf(rejected.events, 'gameError')[0].message, 'Primera ficha debe ser 6|6!');
+
+    const ctx = makeContext({ openingRule: 'anyDouble' });
+    const loose = Object.assign(dealFirstRound(ctx), { hands, currentTurn: J1, openingDouble: 6 });
+    assert.deepEqual(rules.applyAction(loose, opening, ctx).state.board, [{ left: 2, right: 2 }]);
+});
+
+
+// =============================================================================
+// == TILE SETS                                                               ==
+// =============================================================================
+
+test('each tile set deals its own hand size and keeps the rest in the boneyard', () => {
+    [['doubleSix', 28, 7], ['doubleNine', 55, 10], ['doubleTwelve', 91, 12]].forEach(([tileSet, tiles, handSize]) => {
+        const state = dealFirstRound(makeContext({ tileSet }));
+        assert.equal(rules.generateDominoes(rules.TILE_SETS[tileSet].maxPips).length, tiles);
+        rules.PLAYER_NAMES.forEach(name => assert.equal(state.hands[name].length, handSize, `${tileSet} hands`));
+        assert.equal(state.boneyard.length, tiles - 4 * handSize, `${tileSet} boneyard`);
+    });
+});
+
+test('an unknown tile set falls back to the double six', () => {
+    const state = dealFirstRound(makeContext({ tileSet: 'doubleFifty' }));
+    assert.equal(state.tileSet, rules.DEFAULT_TILE_SET);
+    assert.equal(rules.tileSetOf('toString'), rules.TILE_SETS[rules.DEFAULT_TILE_SET]);
+});
+
+test('with a bigger set the highest double dealt opens, even when the top one is in the boneyard', () => {
+    const openingDoubles = [];
+    for (let dealSeed = 1; dealSeed <= 20; dealSeed++) {
+        const state = dealFirstRound(makeContext({ tileSet: 'doubleTwelve', dealSeed }));
+        const pips = state.openingDouble;
+        assert.ok(state.hands[state.currentTurn].some(t => t.left === pips && t.right === pips));
+        rules.PLAYER_NAMES.forEach(name => {
+            assert.ok(state.hands[name].every(t => t.left !== t.right || t.left <= pips), 'no higher double was dealt');
+        });
+        openingDoubles.push(pips);
+    }
+    assert.ok(openingDoubles.some(pips => pips < 12), 'some deals left the 12|12 in the boneyard');
+});
+
+
+// =============================================================================
+// == SEEDED DEALS                                                            ==
+// =============================================================================
+
+test('the same seed deals the same hands', () => {
+    const state = dealFirstRound();
+    assert.equal(state.roundSeed, DEAL_SEED);
+    assert.deepEqual(state.hands, dealFirstRound().hands);
+    assert.notDeepEqual(state.hands, dealFirstRound(makeContext({ dealSeed: DEAL_SEED + 1 })).hands);
+});
+
+test('a round cannot be dealt without a seed', () => {
+    assert.throws(() => dealFirstRound(makeContext({ dealSeed: undefined })), /dealSeed/);
+});
+
+test('text seeds are hashed and numeric ones kept', () => {
+    assert.equal(rules.normalizeSeed(' 1234 '), 1234);
+    assert.equal(rules.normalizeSeed('viernes'), rules.normalizeSeed('viernes'));
+    assert.notEqual(rules.normalizeSeed('viernes'), rules.normalizeSeed('sabado'));
+    assert.equal(rules.normalizeSeed(''), null);
+    assert.equal(rules.normalizeSeed(null), null);
+});
+
+test('a fixed seed deals every round of a match differently, and the match the same again', () => {
+    const ctx = makeContext({ fixedSeed: 42 });
+    const playMatch = () => {
+        const first = dealFirstRound(ctx);
+        const second = rules.startRound(Object.assign(first, { isFirstRoundOfMatch: false }), ctx).state;
+        return [first.hands, second.hands];
+    };
+    const [firstRound, secondRound] = playMatch();
+    assert.notDeepEqual(firstRound, secondRound);
+    assert.deepEqual(playMatch(), [firstRound, secondRound]);
+
+    const nextMatch = rules.startRound(Object.assign(rules.createGameState(), { matchNumber: 2 }), ctx).state;
+    assert.notDeepEqual(nextMatch.hands, firstRound);
+});
+
+
+// =============================================================================
+// == PARTNERSHIPS                                                            ==
+// =============================================================================
+
+test("'rotate' gives everyone every partner over three matches", () => {
+    const partnersOfJ1 = [1, 2, 3, 4].map(match => rules.teamsForMatch(match, 'rotate').teamA[1]);
+    assert.deepEqual(partnersOfJ1, [J2, J3, J4, J2]);
+});
+
+test("'fixed' keeps the partners as they sat down for every match", () => {
+    [1, 2, 3].forEach(match => {
+        assert.deepEqual(rules.teamsForMatch(match, 'fixed'), { teamA: [J1, J2], teamB: [J3, J4] });
+    });
+});
+
+test("'random' partners are drawn from the deal, so a seed draws them again", () => {
+    assert.deepEqual(rules.teamsForMatch(1, 'random', () => 0.5).teamA, [J1, J3]);
+
+    const ctx = makeContext({ partnershipPolicy: 'random', fixedSeed: 42 });
+    assert.deepEqual(dealFirstRound(ctx).teams, dealFirstRound(ctx).teams);
+});
+
+test('partners chosen at the start of a match stay for all of its rounds', () => {
+    const ctx = makeContext({ partnershipPolicy: 'random' });
+    const first = dealFirstRound(ctx);
+    const second = rules.startRound(Object.assign(first, { isFirstRoundOfMatch: false }), makeContext({ partnershipPolicy: 'random', dealSeed: 99 })).state;
+    assert.deepEqual(second.teams, first.teams);
+});
+
+test('matchTeams seats the pairs given for a new match whatever the policy', () => {
+    const matchTeams = { teamA: [J3, J4], teamB: [J1, J2] };
+    const state = dealFirstRound(makeContext({ partnershipPolicy: 'rotate', matchTeams }));
+    assert.deepEqual(state.teams, matchTeams);
+    assert.deepEqual(state.seating, [J3, J1, J4, J2]);
+});
+
+
+// =============================================================================
+// == PLAYING AND PASSING                                                     ==
+// =============================================================================
+
+test('playTile lays a matching tile, takes it from the hand and passes the turn', () => {
+    const state = roundInPlay({
+        [J1]: [{ left: 3, right: 0 }, { left: 4, right: 4 }],
+        [J2]: [{ left: 1, right: 2 }],
+        [J3]: [{ left: 1, right: 3 }],
+        [J4]: [{ left: 2, right: 4 }]
+    });
+    const { state: next, events } = rules.applyAction(state, { type: 'play', player: J1, tile: { left: 3, right: 0 }, position: 'right' }, makeContext());
+
+    assert.deepEqual(next.board, [{ left: 5, right: 0 }, { left: 0, right: 3 }]);
+    assert.equal(next.rightEnd, 3);
+    assert.deepEqual(next.hands[J1], [{ left: 4, right: 4 }]);
+    assert.equal(next.currentTurn, J3);
+    assert.equal(eventsOf(events, 'tilePlaced').length, 1);
+    assert.equal(state.board.length, 1, 'the input state is left alone');
+});
+
+test('playTile turns a tile played on the left so the board still reads left to right', () => {
+    const state = roundInPlay({
+        [J1]: [{ left: 5, right: 2 }, { left: 4, right: 4 }],
+        [J2]: [{ left: 1, right: 2 }],
+        [J3]: [{ left: 1, right: 3 }],
+        [J4]: [{ left: 2, right: 4 }]
+    });
+    const next = rules.applyAction(state, { type: 'play', player: J1, tile: { left: 5, right: 2 }, position: 'left' }, makeContext()).state;
+    assert.deepEqual(next.board[0], { left: 2, right: 5 });
+    assert.equal(next.leftEnd, 2);
+});
+
+test('playTile rejects a tile that does not match the end', () => {
+    const state = roundInPlay({
+        [J1]: [{ left: 3, right: 4 }, { left: 1, right: 1 }],
+        [J2]: [{ left: 1, right: 2 }],
+        [J3]: [{ left: 1, right: 3 }],
+        [J4]: [{ left: 2, right: 4 }]
+    });
+    const { state: next, events } = rules.applyAction(state, { type: 'play', player: J1, tile: { left: 3, right: 4 }, position: 'right' }, makeContext());
+
+    assert.equal(next.board.length, 1);
+    assert.equal(next.hands[J1].length, 2);
+    assert.equal(next.currentTurn, J1);
+    assert.deepEqual(events, [{ type: 'gameError', to: J1, message: 'Jugada inválida!' }]);
+});
+
+test('playTile ignores a player out of turn and a tile they do not hold', () => {
+    const state = roundInPlay({
+        [J1]: [{ left: 0, right: 1 }],
+        [J2]: [{ left: 0, right: 2 }],
+        [J3]: [{ left: 1, right: 3 }],
+        [J4]: [{ left: 2, right: 4 }]
+    });
+    const ctx = makeContext();
+    assert.deepEqual(rules.applyAction(state, { type: 'play', player: J2, tile: { left: 0, right: 2 }, position: 'right' }, ctx).events, []);
+    assert.deepEqual(rules.applyAction(state, { type: 'play', player: J1, tile: { left: 0, right: 6 }, position: 'right' }, ctx).events, []);
+});
+
+test('the first tile of a match must be the opening double', () => {
+    const state = dealFirstRound();
+    const opener = state.currentTurn;
+    const pips = state.openingDouble;
+    const other = state.hands[opener].find(t => t.left !== pips || t.right !== pips);
+    const ctx = makeContext();
+
+    const rejected = rules.applyAction(state, { type: 'play', player: opener, tile: other, position: 'right' }, ctx);
+    assert.equal(rejected.state.board.length, 0);
+    assert.equal(eventsOf(rejected.events, 'gameError')[0].message, `Primera ficha debe ser ${pips}|${pips}!`);
+
+    const opened = rules.applyAction(state, { type: 'play', player: opener, tile: { left: pips, right: pips }, position: 'right' }, ctx).state;
+    assert.deepEqual(opened.board, [{ left: pips, right: pips }]);
+    assert.equal(opened.isFirstMove, false);
+    assert.notEqual(opened.currentTurn, opener);
+});
+
+test('passTurn is refused while the player has a move', () => {
+    const state = roundInPlay({
+        [J1]: [{ left: 0, right: 1 }],
+        [J2]: [{ left: 1, right: 2 }],
+        [J3]: [{ left: 1, right: 3 }],
+        [J4]: [{ left: 2, right: 4 }]
+    });
+    const { state: next, events } = rules.applyAction(state, { type: 'pass', player: J1 }, makeContext());
+    assert.deepEqual(events, []);
+    assert.equal(next.currentTurn, J1);
+});
+
+test('passTurn moves the turn on and logs the ends the player could not match', () => {
+    const state = roundInPlay({
+        [J1]: [{ left: 1, right: 2 }],
+        [J2]: [{ left: 0, right: 3 }],
+        [J3]: [{ left: 5, right: 6 }],
+        [J4]: [{ left: 4, right: 4 }]
+    });
+    const { state: next, events } = rules.applyAction(state, { type: 'pass', player: J1 }, makeContext());
+    assert.equal(next.currentTurn, J3);
+    assert.deepEqual(eventsOf(events, 'playerPassed'), [{ type: 'playerPassed', playerName: J1 }]);
+    assert.deepEqual(next.roundMoves.at(-1), { type: 'pass', player: J1, leftEnd: 5, rightEnd: 0, upEnd: null, downEnd: null });
+});
+
+
+// =============================================================================
+// == END OF ROUND                                                            ==
+// =============================================================================
+
+test('going out scores the pips left in the other team\'s hands', () => {
+    const state = roundInPlay({
+        [J1]: [{ left: 0, right: 2 }],
+        [J2]: [{ left: 6, right: 6 }],
+        [J3]: [{ left: 1, right: 3 }],
+        [J4]: [{ left: 4, right: 5 }, { left: 0, right: 1 }]
+    });
+    const { state: next, events } = rules.applyAction(state, { type: 'play', player: J1, tile: { left: 0, right: 2 }, position: 'right' }, makeContext());
+
+    assert.deepEqual(next.teamScores, { teamA: 14, teamB: 0 });
+    assert.equal(next.lastWinner, J1);
+    assert.equal(next.gameInitialized, false);
+    assert.equal(next.endRoundMessage, `${J1} domino! Equipo A gana 14 puntos!`);
+    assert.equal(eventsOf(events, 'playerWonHand')[0].points, 14);
+});
+
+test('reaching the target score ends the match', () => {
+    const state = roundInPlay({
+        [J1]: [{ left: 0, right: 2 }],
+        [J2]: [{ left: 1, right: 1 }],
+        [J3]: [{ left: 6, right: 6 }],
+        [J4]: [{ left: 0, right: 0 }]
+    });
+    state.teamScores = { teamA: 190, teamB: 0 };
+    const { state: next, events } = rules.applyAction(state, { type: 'play', player: J1, tile: { left: 0, right: 2 }, position: 'right' }, makeContext());
+
+    assert.equal(next.matchOver, true);
+    assert.equal(next.playerStats[J1].matchesWon, 2, 'a shutout is worth two match points');
+    assert.equal(next.playerStats[J2].matchesWon, 2);
+    assert.equal(eventsOf(events, 'matchOver')[0].winningTeamName, 'Team A');
+});
+
+
+// =============================================================================
+// == BLOCKED GAMES                                                           ==
+// =============================================================================
+
+test('a blocked game goes to the team with fewer pips, for the other team\'s pips', () => {
+    const state = blockingRound({ j2: { left: 1, right: 2 }, j3: { left: 2, right: 3 }, j4: { left: 3, right: 4 } });
+    const next = rules.applyAction(state, BLOCKING_PLAY, makeContext()).state;
+
+    assert.equal(next.gameBlocked, true);
+    assert.deepEqual(next.teamScores, { teamA: 12, teamB: 0 });
+    assert.equal(next.endRoundMessage, 'Juego Cerrado! Equipo A gana con menos puntos, gana 12 puntos.');
+    assert.equal(next.lastWinner, J1, 'the lowest hand leads the next round');
+});
+
+test("'allHands' scores a blocked game with every hand on the table", () => {
+    const state = blockingRound({ j2: { left: 1, right: 2 }, j3: { left: 2, right: 3 }, j4: { left: 3, right: 4 } });
+    const next = rules.applyAction(state, BLOCKING_PLAY, makeContext({ blockedGameScoring: 'allHands' })).state;
+    assert.deepEqual(next.teamScores, { teamA: 17, teamB: 0 });
+});
+
+test('a tied blocked game scores nothing and marks the next round', () => {
+    const state = blockingRound({ j2: { left: 1, right: 2 }, j3: { left: 2, right: 3 }, j4: { left: 0, right: 0 } });
+    const next = rules.applyAction(state, BLOCKING_PLAY, makeContext()).state;
+
+    assert.deepEqual(next.teamScores, { teamA: 0, teamB: 0 });
+    assert.equal(next.isTiedBlockedGame, true);
+    assert.equal(next.endRoundMessage, 'Juego Cerrado! Empate - nadie gana puntos.');
+});
+
+test("blockedGameTie 'closer' gives a tied blocked game to the side that closed it", () => {
+    const state = blockingRound({ j2: { left: 1, right: 2 }, j3: { left: 2, right: 3 }, j4: { left: 0, right: 0 } });
+    const next = rules.applyAction(state, BLOCKING_PLAY, makeContext({ blockedGameTie: 'closer' })).state;
+
+    assert.deepEqual(next.teamScores, { teamA: 5, teamB: 0 });
+    assert.equal(next.isTiedBlockedGame, false);
+    assert.equal(next.lastWinner, J1);
+});
+
+test('after a tied blocked game with a bigger set, the holder of the highest double dealt leads', () => {
+    const ctx = makeContext({ tileSet: 'doubleNine' });
+    const state = blockingRound({ j2: { left: 7, right: 7 }, j3: { left: 8, right: 8 }, j4: { left: 0, right: 0 } }, ctx);
+    state.openingDouble = 8; // The 9|9 was left in the boneyard
+    const next = rules.applyAction(state, BLOCKING_PLAY, ctx).state;
+
+    assert.equal(next.isTiedBlockedGame, true);
+    assert.equal(next.isAfterTiedBlockedGame, true);
+    assert.equal(next.lastWinner, J3);
+});
+
+test("tranqueWinner 'closer' gives a blocked game to the closer even with more pips", () => {
+    const state = blockingRound({ j2: { left: 6, right: 6 }, j3: { left: 0, right: 1 }, j4: { left: 0, right: 0 } });
+    const next = rules.applyAction(state, BLOCKING_PLAY, makeContext({ tranqueWinner: 'closer' })).state;
+    assert.deepEqual(next.teamScores, { teamA: 1, teamB: 0 });
+});
+
+test("tranqueWinner 'lowestPlayer' gives a blocked game to the side of the lowest hand", () => {
+    const state = blockingRound({ j2: { left: 6, right: 6 }, j3: { left: 2, right: 4 }, j4: { left: 0, right: 1 } });
+    const next = rules.applyAction(state, BLOCKING_PLAY, makeContext({ tranqueWinner: 'lowestPlayer' })).state;
+    assert.deepEqual(next.teamScores, { teamA: 0, teamB: 14 });
+});
+
+
+// =============================================================================
+// == ALL-FIVES                                                               ==
+// =============================================================================
+
+test('countOpenEnds counts both halves of a double lying at an end', () => {
+    assert.equal(rules.countOpenEnds({ board: [] }), 0);
+    assert.equal(rules.countOpenEnds({ board: [{ left: 6, right: 4 }] }), 10);
+    assert.equal(rules.countOpenEnds({ board: [{ left: 5, right: 5 }, { left: 5, right: 0 }] }), 10);
+});
+
+test('in All-Fives a move that leaves a multiple of 5 on the ends scores it at once', () => {
+    const ctx = makeContext({ scoringMode: 'allFives' });
+    const state = roundInPlay({
+        [J1]: [{ left: 0, right: 5 }, { left: 1, right: 1 }],
+        [J2]: [{ left: 5, right: 6 }],
+        [J3]: [{ left: 2, right: 3 }],
+        [J4]: [{ left: 4, right: 4 }]
+    }, { ctx });
+    const { state: next, events } = rules.applyAction(state, { type: 'play', player: J1, tile: { left: 0, right: 5 }, position: 'right' }, ctx);
+
+    assert.deepEqual(next.teamScores, { teamA: 10, teamB: 0 });
+    assert.deepEqual(eventsOf(events, 'moveScored'), [{ type: 'moveScored', playerName: J1, displayName: J1, team: 'teamA', points: 10, bonus: null }]);
+    assert.equal(next.gameInitialized, true, 'the round goes on');
+});
+
+test('only All-Fives scores the ends, and only on a multiple of 5', () => {
+    const hands = {
+        [J1]: [{ left: 0, right: 5 }, { left: 0, right: 3 }],
+        [J2]: [{ left: 5, right: 6 }],
+        [J3]: [{ left: 2, right: 3 }],
+        [J4]: [{ left: 4, right: 4 }]
+    };
+    const classic = rules.applyAction(roundInPlay(structuredClone(hands)), BLOCKING_PLAY, makeContext());
+    assert.deepEqual(eventsOf(classic.events, 'moveScored'), []);
+
+    const ctx = makeContext({ scoringMode: 'allFives' });
+    const eight = rules.applyAction(roundInPlay(structuredClone(hands), { ctx }), { type: 'play', player: J1, tile: { left: 0, right: 3 }, position: 'right' }, ctx);
+    assert.deepEqual(eventsOf(eight.events, 'moveScored'), []);
+    assert.deepEqual(eight.state.teamScores, { teamA: 0, teamB: 0 });
+});
+
+test('in All-Fives a scoring move that reaches the target ends the match for the team', () => {
+    const ctx = makeContext({ scoringMode: 'allFives' });
+    const state = roundInPlay({
+        [J1]: [{ left: 0, right: 5 }, { left: 1, right: 1 }],
+        [J2]: [{ left: 5, right: 6 }],
+        [J3]: [{ left: 2, right: 3 }],
+        [J4]: [{ left: 4, right: 4 }]
+    }, { ctx });
+    state.teamScores = { teamA: 195, teamB: 40 };
+    const next = rules.applyAction(state, BLOCKING_PLAY, ctx).state;
+
+    assert.equal(next.endRoundMessage, 'Equipo A llega a 200 puntos con su jugada!\nTeam A gana el match 205 a 40!');
+    assert.equal(next.matchOver, true);
+    assert.equal(next.lastWinner, J1);
+});
+
+
+// =============================================================================
+// == FOUR-WAY SPINNER                                                        ==
+// =============================================================================
+
+/**
+ * (ROUTINE) Returns a round with the 6|6 alone on the board, J1 to play.
+ */
+function spinnerRound(ctx) {
+    return roundInPlay({
+        [J1]: [{ left: 6, right: 1 }, { left: 0, right: 0 }],
+        [J3]: [{ left: 2, right: 6 }, { left: 0, right: 1 }],
+        [J2]: [{ left: 6, right: 4 }, { left: 0, right: 2 }],
+        [J4]: [{ left: 3, right: 3 }, { left: 0, right: 3 }]
+    }, { board: [{ left: 6, right: 6 }], ctx });
+}
+
+const COVER_RIGHT = { type: 'play', player: J1, tile: { left: 6, right: 1 }, position: 'right' };
+const COVER_LEFT = { type: 'play', player: J3, tile: { left: 2, right: 6 }, position: 'left' };
+
+test('the spinner opens up and down only once both of its sides are covered', () => {
+    const ctx = makeContext({ fourWaySpinner: true });
+    let state = rules.applyAction(spinnerRound(ctx), COVER_RIGHT, ctx).state;
+    assert.equal(state.upEnd, null);
+    assert.deepEqual(rules.openEnds(state).map(end => end.position), ['left', 'right']);
+
+    state = rules.applyAction(state, COVER_LEFT, ctx).state;
+    assert.equal(state.upEnd, 6);
+    assert.equal(state.downEnd, 6);
+    assert.deepEqual(rules.openEnds(state).map(end => end.position), ['left', 'right', 'up', 'down']);
+});
+
+test('tiles played up or down grow the spinner\'s arms and count as open ends', () => {
+    const ctx = makeContext({ fourWaySpinner: true });
+    let state = spinnerRound(ctx);
+    for (const action of [COVER_RIGHT, COVER_LEFT]) state = rules.applyAction(state, action, ctx).state;
+    state = rules.applyAction(state, { type: 'play', player: J2, tile: { left: 6, right: 4 }, position: 'up' }, ctx).state;
+
+    assert.deepEqual(state.spinnerArms, { up: [{ left: 6, right: 4 }], down: [] });
+    assert.equal(state.upEnd, 4);
+    assert.equal(rules.countOpenEnds(state), 2 + 1 + 4);
+});
+
+test('without the four-way spinner the arms never open', () => {
+    const ctx = makeContext();
+    let state = spinnerRound(ctx);
+    for (const action of [COVER_RIGHT, COVER_LEFT]) state = rules.applyAction(state, action, ctx).state;
+    assert.equal(state.upEnd, null);
+
+    const { events } = rules.applyAction(state, { type: 'play', player: J2, tile: { left: 6, right: 4 }, position: 'up' }, ctx);
+    assert.deepEqual(eventsOf(events, 'gameError').map(event => event.message), ['Jugada inválida!']);
+});
+
+test('All-Fives always plays the spinner four ways', () => {
+    assert.equal(dealFirstRound(makeContext({ scoringMode: 'allFives' })).fourWaySpinner, true);
+    assert.equal(dealFirstRound(makeContext()).fourWaySpinner, false);
+});
+
+
+// =============================================================================
+// == BONEYARD GAMES                                                          ==
+// =============================================================================
+
+/**
+ * (ROUTINE) Builds the rule context of a table with fewer than four seats.
+ */
+function tableOf(seats, overrides = {}) {
+    return makeContext({
+        players: rules.PLAYER_NAMES.slice(0, seats).map(name => ({ name, displayName: name, isConnected: true })),
+        ...overrides
+    });
+}
+
+/**
+ * (ROUTINE) Returns a three-seat round on a 5|0 board, J1 to play, with the
+ * given hand for J1 and tiles left in the boneyard.
+ */
+function boneyardRound(hand, boneyard, ctx = tableOf(3)) {
+    const state = roundInPlay({
+        [J1]: hand,
+        [J2]: [{ left: 5, right: 6 }, { left: 2, right: 2 }],
+        [J3]: [{ left: 0, right: 4 }, { left: 3, right: 3 }]
+    }, { ctx });
+    state.boneyard = boneyard;
+    return state;
+}
+
+test('a table of two or three deals from a boneyard and scores every player alone', () => {
+    [2, 3].forEach(seats => {
+        const state = dealFirstRound(tableOf(seats));
+        assert.equal(state.drawFromBoneyard, true);
+        assert.equal(state.individualScoring, true);
+        assert.deepEqual(state.seating, rules.PLAYER_NAMES.slice(0, seats));
+        assert.equal(state.boneyard.length, 28 - 7 * seats);
+    });
+});
+
+test('a player with no move draws and keeps the turn until a tile fits', () => {
+    const ctx = tableOf(3);
+    let state = boneyardRound([{ left: 1, right: 1 }], [{ left: 1, right: 2 }, { left: 0, right: 3 }]);
+    assert.deepEqual(rules.applyAction(state, { type: 'pass', player: J1 }, ctx).events, [], 'no passing while tiles are left');
+
+    const first = rules.applyAction(state, { type: 'draw', player: J1 }, ctx);
+    assert.equal(first.state.currentTurn, J1);
+    assert.equal(first.state.hands[J1].length, 2);
+    assert.equal(eventsOf(first.events, 'tileDrawn')[0].boneyardCount, 1);
+    assert.equal(first.state.roundMoves.at(-1).type, 'draw');
+
+    state = rules.applyAction(first.state, { type: 'draw', player: J1 }, ctx).state;
+    assert.deepEqual(state.hands[J1].at(-1), { left: 0, right: 3 });
+    assert.equal(rules.canDraw(state, J1), false, 'the 0|3 fits, so no more drawing');
+    assert.deepEqual(rules.applyAction(state, { type: 'draw', player: J1 }, ctx).events, []);
+});
+
+test('with the boneyard empty a player with no move passes', () => {
+    const ctx = tableOf(3);
+    const state = boneyardRound([{ left: 1, right: 1 }], []);
+    assert.deepEqual(rules.applyAction(state, { type: 'draw', player: J1 }, ctx).events, []);
+    assert.equal(rules.applyAction(state, { type: 'pass', player: J1 }, ctx).state.currentTurn, J2);
+});
+
+test('going out alone scores the pips left in every other hand', () => {
+    const ctx = tableOf(3);
+    const state = boneyardRound([{ left: 0, right: 2 }], [{ left: 1, right: 2 }]);
+    const next = rules.applyAction(state, { type: 'play', player: J1, tile: { left: 0, right: 2 }, position: 'right' }, ctx).state;
+
+    assert.equal(next.playerScores[J1], 15 + 10);
+    assert.equal(next.endRoundMessage, `${J1} domino! Gana 25 puntos!`);
+});
+
+test('in All-Fives a player alone who reaches the target is named', () => {
+    const ctx = tableOf(3, { scoringMode: 'allFives' });
+    const state = boneyardRound([{ left: 0, right: 5 }, { left: 1, right: 1 }], [], ctx);
+    state.playerScores[J1] = 95;
+    const next = rules.applyAction(state, BLOCKING_PLAY, ctx).state;
+    assert.ok(next.endRoundMessage.startsWith(`${J1} llega a 100 puntos con su jugada!`), 'alone the target is playerTargetScore');
+});
+
+
+// =============================================================================
+// == INDIVIDUAL SCORING                                                      ==
+// =============================================================================
+
+const ALONE = { individualScoring: true, playerTargetScore: 50 };
+
+test('with individual scoring four players play round the table with no partners', () => {
+    const state = dealFirstRound(makeContext(ALONE));
+    assert.deepEqual(state.teams, { teamA: [], teamB: [] });
+    assert.deepEqual(state.seating, [J1, J2, J3, J4]);
+    assert.deepEqual(state.playerScores, { [J1]: 0, [J2]: 0, [J3]: 0, [J4]: 0 });
+    assert.equal(state.drawFromBoneyard, false, 'a full table deals every tile');
+});
+
+test('going out alone at a table of four takes the pips of all three other hands', () => {
+    const ctx = makeContext(ALONE);
+    const state = roundInPlay({
+        [J1]: [{ left: 0, right: 2 }],
+        [J2]: [{ left: 1, right: 1 }],
+        [J3]: [{ left: 2, right: 3 }],
+        [J4]: [{ left: 4, right: 4 }]
+    }, { ctx });
+    const next = rules.applyAction(state, { type: 'play', player: J1, tile: { left: 0, right: 2 }, position: 'right' }, ctx).state;
+
+    assert.equal(next.playerScores[J1], 2 + 5 + 8);
+    assert.deepEqual(next.teamScores, { teamA: 0, teamB: 0 });
+    assert.equal(next.endRoundMessage, `${J1} domino! Gana 15 puntos!`);
+});
+
+test('a blocked game alone goes to the lowest hand, for every other hand', () => {
+    const ctx = makeContext(ALONE);
+    const state = blockingRound({ j2: { left: 1, right: 2 }, j3: { left: 2, right: 3 }, j4: { left: 4, right: 4 } }, ctx);
+    const next = rules.applyAction(state, BLOCKING_PLAY, ctx).state;
+
+    assert.equal(next.playerScores[J1], 3 + 5 + 8);
+    assert.equal(next.endRoundMessage, `Juego Cerrado! ${J1} gana con menos puntos, gana 16 puntos.`);
+});
+
+test('alone the match is played to playerTargetScore, with a shutout if nobody else scored', () => {
+    const ctx = makeContext(ALONE);
+    const state = roundInPlay({
+        [J1]: [{ left: 0, right: 2 }],
+        [J2]: [{ left: 1, right: 1 }],
+        [J3]: [{ left: 2, right: 3 }],
+        [J4]: [{ left: 4, right: 4 }]
+    }, { ctx });
+    state.playerScores[J1] = 40;
+    const { state: next, events } = rules.applyAction(state, { type: 'play', player: J1, tile: { left: 0, right: 2 }, position: 'right' }, ctx);
+
+    assert.equal(next.matchOver, true);
+    assert.equal(next.playerStats[J1].matchesWon, 2);
+    assert.equal(next.endMatchMessage, `\n${J1} gana el match con 55 puntos! (Zapato: +2 puntos!)`);
+    assert.equal(eventsOf(events, 'matchOver')[0].winner, J1);
+});
+
+
+// =============================================================================
+// == LATIN BONUSES                                                           ==
+// =============================================================================
+
+/**
+ * (ROUTINE) Returns a round where J1's last tile, the 0|5, fits both ends of
+ * the 5|0 on the board.
+ */
+function capicuaRound(ctx) {
+    return roundInPlay({
+        [J1]: [{ left: 0, right: 5 }],
+        [J2]: [{ left: 1, right: 1 }],
+        [J3]: [{ left: 2, right: 3 }],
+        [J4]: [{ left: 4, right: 4 }]
+    }, { ctx });
+}
+
+const CAPICUA_PLAY = { type: 'play', player: J1, tile: { left: 0, right: 5 }, position: 'right' };
+
+test('going out with a capicúa adds the room\'s bonus to the hand', () => {
+    const ctx = makeContext({ capicuaBonus: 20 });
+    const { state: next, events } = rules.applyAction(capicuaRound(ctx), CAPICUA_PLAY, ctx);
+
+    assert.deepEqual(next.teamScores, { teamA: 13 + 20, teamB: 0 });
+    assert.equal(eventsOf(events, 'moveScored')[0].bonus, 'Capicúa');
+    assert.ok(next.endRoundMessage.includes(`Capicúa de ${J1}: +20!`));
+});
+
+test('a bonus worth 0 is not played', () => {
+    const ctx = makeContext();
+    const { state: next, events } = rules.applyAction(capicuaRound(ctx), CAPICUA_PLAY, ctx);
+    assert.deepEqual(next.teamScores, { teamA: 13, teamB: 0 });
+    assert.deepEqual(eventsOf(events, 'moveScored'), []);
+});
+
+test('a pase corrido scores when everyone else passes back to the player', () => {
+    const ctx = makeContext({ paseCorridoBonus: 10 });
+    let state = roundInPlay({
+        [J1]: [{ left: 0, right: 6 }, { left: 6, right: 6 }],
+        [J3]: [{ left: 2, right: 3 }],
+        [J2]: [{ left: 1, right: 2 }],
+        [J4]: [{ left: 4, right: 4 }]
+    }, { ctx });
+    state = rules.applyAction(state, { type: 'play', player: J1, tile: { left: 0, right: 6 }, position: 'right' }, ctx).state;
+    state = rules.applyAction(state, { type: 'pass', player: J3 }, ctx).state;
+    state = rules.applyAction(state, { type: 'pass', player: J2 }, ctx).state;
+    assert.deepEqual(state.teamScores, { teamA: 0, teamB: 0 }, 'not until the last of them passes');
+
+    const { state: next, events } = rules.applyAction(state, { type: 'pass', player: J4 }, ctx);
+    assert.equal(next.currentTurn, J1);
+    assert.deepEqual(next.teamScores, { teamA: 10, teamB: 0 });
+    assert.equal(eventsOf(events, 'moveScored')[0].bonus, 'Pase corrido');
+});
+
+
+// =============================================================================
+// == SCORING OPTIONS                                                         ==
+// =============================================================================
+
+/**
+ * (ROUTINE) Returns a round J1 wins with their last tile; J2 holds 2 pips, J3 4
+ * and J4 9.
+ */
+function goingOutRound(ctx) {
+    return roundInPlay({
+        [J1]: [{ left: 0, right: 2 }],
+        [J2]: [{ left: 1, right: 1 }],
+        [J3]: [{ left: 1, right: 3 }],
+        [J4]: [{ left: 4, right: 5 }]
+    }, { ctx });
+}
+
+const GOING_OUT = { type: 'play', player: J1, tile: { left: 0, right: 2 }, position: 'right' };
+
+test('roundTo rounds each hand counted to the nearest multiple', () => {
+    const ctx = makeContext({ scoringOptions: { roundTo: 5 } });
+    const next = rules.applyAction(goingOutRound(ctx), GOING_OUT, ctx).state;
+
+    assert.deepEqual(next.roundScoring, [
+        { player: J3, pips: 4, points: 5 },
+        { player: J4, pips: 9, points: 10 }
+    ]);
+    assert.deepEqual(next.teamScores, { teamA: 15, teamB: 0 });
+});
+
+test('hands are counted exactly by default', () => {
+    const ctx = makeContext();
+    const next = rules.applyAction(goingOutRound(ctx), GOING_OUT, ctx).state;
+    assert.deepEqual(next.teamScores, { teamA: 13, teamB: 0 });
+    assert.deepEqual(next.roundScoring.map(hand => hand.points), [4, 9]);
+});
+
+test('countEverything also counts the hand of the winner\'s partner', () => {
+    const ctx = makeContext({ scoringOptions: { countEverything: true } });
+    const next = rules.applyAction(goingOutRound(ctx), GOING_OUT, ctx).state;
+    assert.deepEqual(next.roundScoring.map(hand => hand.player), [J2, J3, J4]);
+    assert.deepEqual(next.teamScores, { teamA: 2 + 4 + 9, teamB: 0 });
+});
+
+test('countEverything scores a blocked game with every hand on the table', () => {
+    const state = blockingRound({ j2: { left: 1, right: 2 }, j3: { left: 2, right: 3 }, j4: { left: 3, right: 4 } });
+    const next = rules.applyAction(state, BLOCKING_PLAY, makeContext({ scoringOptions: { countEverything: true } })).state;
+    assert.deepEqual(next.teamScores, { teamA: 17, teamB: 0 });
+});
+
+
+// =============================================================================
+// == READY BETWEEN ROUNDS                                                    ==
+// =============================================================================
+
+test('markReady is ignored while a round is in play', () => {
+    const state = dealFirstRound();
+    const { state: next, events } = rules.applyAction(state, { type: 'ready', player: J1 }, makeContext());
+    assert.deepEqual(events, []);
+    assert.equal(next.readyPlayers.size, 0);
+});
+
+test('markReady is ignored before the first round is dealt', () => {
+    const { state, events } = rules.applyAction(rules.createGameState(), { type: 'ready', player: J1 }, makeContext());
+    assert.deepEqual(events, []);
+    assert.equal(state.gameInitialized, false);
+});
+
+test('markReady deals the next round once every seat is ready', () => {
+    const ctx = makeContext();
+    let state = roundInPlay({
+        [J1]: [{ left: 0, right: 2 }],
+        [J2]: [{ left: 6, right: 6 }],
+        [J3]: [{ left: 1, right: 3 }],
+        [J4]: [{ left: 4, right: 5 }]
+    });
+    state = rules.applyAction(state, { type: 'play', player: J1, tile: { left: 0, right: 2 }, position: 'right' }, ctx).state;
+
+    for (const player of [J1, J2, J3]) {
+        const result = rules.applyAction(state, { type: 'ready', player }, ctx);
+        assert.equal(result.state.gameInitialized, false);
+        state = result.state;
+    }
+    assert.equal(state.readyPlayers.size, 3);
+
+    const next = rules.applyAction(state, { type: 'ready', player: J4 }, ctx).state;
+    assert.equal(next.gameInitialized, true);
+    assert.equal(next.endRoundMessage, null);
+    assert.equal(next.readyPlayers.size, 0);
+    assert.equal(next.currentTurn, J1, 'the winner of the last hand opens');
+    assert.deepEqual(next.teamScores, { teamA: 13, teamB: 0 });
+    rules.PLAYER_NAMES.forEach(name => assert.equal(next.hands[name].length, 7));
+});
+
+test('markReady starts a new match after a match is over', () => {
+    const ctx = makeContext();
+    let state = roundInPlay({
+        [J1]: [{ left: 0, right: 2 }],
+        [J2]: [{ left: 1, right: 1 }],
+        [J3]: [{ left: 6, right: 6 }],
+        [J4]: [{ left: 0, right: 0 }]
+    });
+    state.teamScores = { teamA: 190, teamB: 5 };
+    state = rules.applyAction(state, { type: 'play', player: J1, tile: { left: 0, right: 2 }, position: 'right' }, ctx).state;
+    assert.equal(state.matchOver, true);
+
+    for (const player of rules.PLAYER_NAMES) state = rules.applyAction(state, { type: 'ready', player }, ctx).state;
+    assert.equal(state.matchOver, false);
+    assert.equal(state.matchNumber, 2);
+    assert.deepEqual(state.teamScores, { teamA: 0, teamB: 0 });
+    assert.equal(state.playerStats[J1].matchesWon, 1);
+    assert.equal(state.isFirstRoundOfMatch, true);
+});
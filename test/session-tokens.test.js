@@ -0,0 +1,55 @@
+// =============================================================================
+// == session-tokens.test.js  Domino4  -  Reconnect token tests               ==
+// =============================================================================
+// Signs and verifies tokens with a secret generated into a temporary
+// DOMINO_DATA_DIR.
+// =============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DOMINO_DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'domino4-tokens-'));
+delete process.env.SESSION_SECRET;
+const sessionTokens = require('../session-tokens');
+
+test.after(() => fs.rmSync(process.env.DOMINO_DATA_DIR, { recursive: true, force: true }));
+
+const PAYLOAD = { roomId: 'Sala-1', seat: 'Jugador 2', sessionId: 'abc123' };
+
+test('a signed token verifies back to its payload', () => {
+    const token = sessionTokens.sign(PAYLOAD);
+    assert.deepEqual(sessionTokens.verify(token), PAYLOAD);
+});
+
+test('the generated secret is saved outside the served folder', () => {
+    sessionTokens.sign(PAYLOAD);
+    const secretFile = path.join(process.env.DOMINO_DATA_DIR, 'session-secret');
+    assert.equal(fs.readFileSync(secretFile, 'utf8'), sessionTokens.getSecret());
+    assert.equal(fs.existsSync(path.join(__dirname, '..', 'snapshots')), false);
+});
+
+test('a token whose payload was changed is refused', () => {
+    const [, signature] = sessionTokens.sign(PAYLOAD).split('.');
+    const forgedBody = Buffer.from(JSON.stringify({ ...PAYLOAD, seat: 'Jugador 1' })).toString('base64url');
+    assert.equal(sessionTokens.verify(`${forgedBody}.${signature}`), null);
+});
+
+test('a token signed with another secret is refused', () => {
+    const body = Buffer.from(JSON.stringify(PAYLOAD)).toString('base64url');
+    const signature = crypto.createHmac('sha256', 'not-the-secret').update(body).digest('base64url');
+    assert.equal(sessionTokens.verify(`${body}.${signature}`), null);
+});
+
+test('anything that is not a token is refused', () => {
+    [undefined, null, 42, '', 'no-dot', '.', 'abc.', `${sessionTokens.sign(PAYLOAD)}x`].forEach(token => {
+        assert.equal(sessionTokens.verify(token), null, String(token));
+    });
+});
+
+test('every session ID is new', () => {
+    assert.notEqual(sessionTokens.createSessionId(), sessionTokens.createSessionId());
+});